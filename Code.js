@@ -9,8 +9,35 @@ const CONFIG = {
   version: '1.0.0',
   sessionTimeout: 30, // minutes
   animalAvatars: ['🐺', '🦊', '🐨', '🐸', '🦋', '🐧', '🦁', '🐯', '🐼', '🐰', '🦄', '🐙', '🦉', '🐢', '🦆', '🦅', '🦜', '🦩'],
-  maxSearchResults: 100,
-  recentActivityLimit: 20
+  maxSearchResults: 100, // largest page searchDocuments will return
+  searchPageSize: 20,
+  catalogPageSize: 500, // documents sent by getInitialData and each getDocumentPage call
+  searchRecentViewDays: 30, // views in this window boost search ranking
+  recentActivityLimit: 20,
+  defaultRole: 'editor', // role for users without a UserRoles entry
+  trashRetentionDays: 30,
+  maxImportRows: 2000,
+  linkCheckBatchSize: 100, // documents checked per runLinkHealthCheck run
+  reviewReminderDays: 7, // reminders start this many days before ReviewBy
+  notificationLimit: 30, // entries shown under the notification bell
+  defaultDigestFrequency: 'daily',
+  digestWeekday: 1, // weekly digests go out on Mondays (0 = Sunday)
+  lockTimeout: 10000, // ms to wait for another request's changes to finish
+  cacheSeconds: 600, // how long sheet rows stay in the script cache
+  cacheChunkSize: 30000, // characters per cache entry; the limit is 100KB and a character can take 3 bytes
+  maxCacheChunks: 100, // larger values are read from the sheet instead of cached
+  analyticsCacheSeconds: 300,
+  presenceWriteInterval: 5, // minutes between heartbeat writes to OnlineUsers
+  notificationScanRows: 2000, // recent ActivityLog rows the notification bell looks through
+  syncOverlap: 30, // seconds each sync cursor reaches back, so writes still in progress aren't missed
+  bulkUndoMinutes: 60, // how long the last bulk action can be undone
+  activityPageSize: 50,
+  activityRetentionDays: 180, // older ActivityLog rows move to ActivityLogArchive
+  activityArchiveBatchSize: 20000, // rows moved per archiveActivityLog run
+  maxActivityExport: 50000,
+  maxFeedDocuments: 200, // most documents an embed or feed lists
+  apiPageSize: 100,
+  apiKeyTouchMinutes: 5 // minutes between LastUsed writes for an API key
 };
 
 // =====================================
@@ -22,10 +49,13 @@ const CONFIG = {
  */
 function doGet(e) {
   try {
+    const route = handleApiRequest(e, 'GET') || handlePublicRoute(e);
+    if (route) return route;
     const user = getCurrentUser();
     if (!user.isSignedIn) {
       return createAuthRequiredPage();
     }
+    ensureSchemaUpToDate();
     trackUserSession(user, 'login');
     return HtmlService.createTemplateFromFile('index')
       .evaluate()
@@ -38,6 +68,13 @@ function doGet(e) {
   }
 }
 
+/**
+ * Entry point for POST requests, which only the JSON API (see handleApiRequest) accepts
+ */
+function doPost(e) {
+  return handleApiRequest(e, 'POST');
+}
+
 /**
  * Include external HTML files
  */
@@ -56,17 +93,24 @@ function getInitialData() {
       return JSON.stringify({ success: false, error: 'User not authenticated' });
     }
     
+    // Taken before reading so changes made while we read are picked up by the first sync
+    const cursor = Date.now();
+    const catalog = getCatalogPage(user, '');
     const response = {
       success: true,
+      cursor: cursor,
       user: user,
-      documents: getDocuments().documents || [],
+      documents: catalog.documents,
+      documentsAfter: catalog.nextAfter,
       categories: getCategories().categories || [],
       tags: getTags().tags || [],
       favorites: getUserFavorites().favoriteIds || [],
+      collections: listCollections(user),
+      subscriptions: getUserSubscriptions(user.email).subscriptions || [],
       recentActivity: getRecentActivity().activities || [],
-      onlineUsers: getOnlineUsers().users || [],
-      analytics: getAnalyticsData().analytics || {},
-      config: { appName: CONFIG.appName, version: CONFIG.version }
+      onlineUsers: JSON.parse(getOnlineUsers()).users || [],
+      analytics: toClientAnalytics(user, getAnalyticsData().analytics || {}),
+      config: { appName: CONFIG.appName, version: CONFIG.version, reviewReminderDays: CONFIG.reviewReminderDays }
     };
     
     return JSON.stringify(response);
@@ -76,6 +120,114 @@ function getInitialData() {
   }
 }
 
+/**
+ * One page of the catalog, newest DocID first. Pages continue from the last DocID sent rather
+ * than an offset, so documents added or purged meanwhile don't shift them; anything added
+ * after the first page arrives through getChangesSince instead.
+ * @param {string} [after] - nextAfter from the previous page
+ * @returns {{documents: Object[], nextAfter: ?string}} nextAfter is null on the last page
+ */
+function getCatalogPage(user, after) {
+  const documents = (getDocuments({}, user).documents || [])
+    .filter(doc => !after || String(doc.DocID) < after)
+    .sort((a, b) => String(a.DocID) < String(b.DocID) ? 1 : -1);
+  const page = documents.slice(0, CONFIG.catalogPageSize);
+  return { documents: page, nextAfter: documents.length > page.length ? String(page[page.length - 1].DocID) : null };
+}
+
+/**
+ * The rest of the catalog after the page getInitialData sent.
+ * @param {string} after - documentsAfter from getInitialData, then nextAfter from the previous call
+ */
+function getDocumentPage(after) {
+  try {
+    const user = getCurrentUser();
+    if (!user.isSignedIn) {
+      return JSON.stringify({ success: false, error: 'User not authenticated' });
+    }
+    if (!after) {
+      return JSON.stringify({ success: false, error: 'A page cursor is required' });
+    }
+    return JSON.stringify(Object.assign({ success: true }, getCatalogPage(user, String(after))));
+  } catch (error) {
+    console.error('Error getting document page:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+// =====================================
+// INCREMENTAL SYNC
+// =====================================
+
+// Sheets whose last change time is recorded so getChangesSince can skip them cheaply
+const SYNCED_SHEETS = ['Documents', 'Categories', 'Tags', 'Collections', 'CollectionItems', 'CollectionShares'];
+const SHEET_CHANGED_PREFIX = 'CHANGED_AT:';
+
+/**
+ * Everything that changed since cursor, for clients to apply on top of getInitialData.
+ * Documents are matched row by row on ChangedAt; categories, tags, favorites and collections
+ * are small and are sent whole when their sheet changed, otherwise null. Rows removed outright
+ * (purged or merged documents) can't be listed, so documentCount lets the client notice
+ * and reload.
+ * @param {number} cursor - from getInitialData or the previous getChangesSince call
+ */
+function getChangesSince(cursor) {
+  try {
+    const user = getCurrentUser();
+    if (!user.isSignedIn) {
+      return JSON.stringify({ success: false, error: 'User not authenticated' });
+    }
+    const since = Number(cursor);
+    if (!since) {
+      return JSON.stringify({ success: false, error: 'A sync cursor is required' });
+    }
+    const nextCursor = Date.now() - CONFIG.syncOverlap * 1000;
+    const changedAt = getSheetChangeTimes();
+    const changed = sheetName => (changedAt[sheetName] || 0) >= since;
+    const collectionsChanged = ['Collections', 'CollectionItems', 'CollectionShares'].some(changed);
+
+    const documents = getRepository('Documents').getRecords();
+    const changedDocuments = changed('Documents')
+      ? documents.filter(doc => doc.ChangedAt && new Date(doc.ChangedAt).getTime() >= since)
+      : [];
+    // Documents that went into review drop out of everyone else's catalog
+    const hiddenIds = changedDocuments.filter(doc => !canSeeDocument(user, doc)).map(doc => doc.DocID);
+    const activity = (getRecentActivity().activities || []).filter(item => new Date(item.Timestamp).getTime() >= since);
+
+    return JSON.stringify({
+      success: true,
+      cursor: nextCursor,
+      documents: changedDocuments.filter(doc => !hiddenIds.includes(doc.DocID)),
+      hiddenIds: hiddenIds,
+      documentCount: documents.filter(doc => doc.Status !== 'Trashed' && canSeeDocument(user, doc)).length,
+      categories: changed('Categories') ? getCategories().categories || [] : null,
+      tags: changed('Tags') ? getTags().tags || [] : null,
+      favorites: collectionsChanged ? getUserFavorites().favoriteIds || [] : null,
+      collections: collectionsChanged ? listCollections(user) : null,
+      activity: activity,
+      onlineUsers: JSON.parse(getOnlineUsers()).users || []
+    });
+  } catch (error) {
+    console.error('Error getting changes:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Record that a synced sheet was written; called from invalidateSheetCache.
+ */
+function markSheetChanged(sheetName) {
+  if (!SYNCED_SHEETS.includes(sheetName)) return;
+  PropertiesService.getScriptProperties().setProperty(SHEET_CHANGED_PREFIX + sheetName, String(Date.now()));
+}
+
+function getSheetChangeTimes() {
+  const props = PropertiesService.getScriptProperties().getProperties();
+  const times = {};
+  SYNCED_SHEETS.forEach(name => { times[name] = parseInt(props[SHEET_CHANGED_PREFIX + name]) || 0; });
+  return times;
+}
+
 // =====================================
 // USER MANAGEMENT & AUTHENTICATION
 // =====================================
@@ -84,6 +236,7 @@ function getInitialData() {
  * Get current user information
  */
 function getCurrentUser() {
+  if (actingUser) return actingUser;
   try {
     const user = Session.getActiveUser();
     const email = user.getEmail();
@@ -95,7 +248,8 @@ function getCurrentUser() {
       .map(part => part.charAt(0).toUpperCase() + part.slice(1))
       .join(' ');
     const avatar = getOrAssignUserAvatar(email);
-    return { isSignedIn: true, email: email, name: name, avatar: avatar };
+    const role = getUserRole(email);
+    return { isSignedIn: true, email: email, name: name, avatar: avatar, role: role };
   } catch (error) {
     console.error('Error getting current user:', error);
     return { isSignedIn: false };
@@ -113,39 +267,49 @@ function trackUserSession(user, action = 'heartbeat') {
     if (!user.isSignedIn) {
       return JSON.stringify({ success: false, error: 'User not authenticated' });
     }
-
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sheet = ss.getSheetByName('OnlineUsers');
-    if (!sheet) {
-      console.error('OnlineUsers sheet not found');
-      return JSON.stringify({ success: false, error: 'Database not initialized' });
-    }
-    const now = new Date();
-    cleanupExpiredSessions(sheet);
-    if (action === 'logout') {
-      removeUserSession(sheet, user.email);
-      return JSON.stringify({ success: true });
-    }
-    const data = sheet.getDataRange().getValues();
-    let sessionRow = -1;
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][1] === user.email) {
-        sessionRow = i + 1;
-        break;
+    // Heartbeats only touch the sheet every few minutes; presence doesn't need minute precision
+    if (action === 'heartbeat') {
+      const session = getRepository('OnlineUsers').findBy('UserEmail', user.email)[0];
+      const writeAfter = new Date(Date.now() - CONFIG.presenceWriteInterval * 60 * 1000);
+      if (session && session.Status === 'Online' && new Date(session.LastActivity) > writeAfter) {
+        return JSON.stringify({ success: true });
       }
     }
-    if (action === 'login' || sessionRow === -1) {
-      const sessionData = [generateId('SES'), user.email, user.name, now, now, user.avatar, 'Online'];
-      if (sessionRow > 0) {
-        sheet.getRange(sessionRow, 1, 1, sessionData.length).setValues([sessionData]);
-      } else {
-        sheet.appendRow(sessionData);
+    return withScriptLock(() => {
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const sheet = ss.getSheetByName('OnlineUsers');
+      if (!sheet) {
+        console.error('OnlineUsers sheet not found');
+        return JSON.stringify({ success: false, error: 'Database not initialized' });
       }
-    } else if (sessionRow > 0) {
-      sheet.getRange(sessionRow, 5).setValue(now);
-      sheet.getRange(sessionRow, 7).setValue('Online');
-    }
-    return JSON.stringify({ success: true });
+      const now = new Date();
+      cleanupExpiredSessions(sheet);
+      if (action === 'logout') {
+        removeUserSession(sheet, user.email);
+        return JSON.stringify({ success: true });
+      }
+      const data = sheet.getDataRange().getValues();
+      let sessionRow = -1;
+      for (let i = 1; i < data.length; i++) {
+        if (data[i][1] === user.email) {
+          sessionRow = i + 1;
+          break;
+        }
+      }
+      if (action === 'login' || sessionRow === -1) {
+        const sessionData = [generateId('SES'), user.email, user.name, now, now, user.avatar, 'Online'];
+        if (sessionRow > 0) {
+          sheet.getRange(sessionRow, 1, 1, sessionData.length).setValues([sessionData]);
+        } else {
+          sheet.appendRow(sessionData);
+        }
+      } else if (sessionRow > 0) {
+        sheet.getRange(sessionRow, 5).setValue(now);
+        sheet.getRange(sessionRow, 7).setValue('Online');
+      }
+      invalidateSheetCache('OnlineUsers');
+      return JSON.stringify({ success: true });
+    });
   } catch (error) {
     console.error('Error tracking user session:', error);
     return JSON.stringify({ success: false, error: error.toString() });
@@ -157,16 +321,12 @@ function trackUserSession(user, action = 'heartbeat') {
  */
 function getOnlineUsers() {
   try {
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sheet = ss.getSheetByName('OnlineUsers');
-    if (!sheet || sheet.getLastRow() <= 1) {
-      return JSON.stringify({ success: true, users: [] });
-    }
-    cleanupExpiredSessions(sheet);
-    const data = sheet.getDataRange().getValues();
+    // Expired sessions are skipped here and deleted by the next trackUserSession write
+    const cutoffTime = new Date(Date.now() - CONFIG.sessionTimeout * 60 * 1000);
+    const data = getRepository('OnlineUsers').getValues();
     const users = [];
     for (let i = 1; i < data.length; i++) {
-      if (data[i][6] === 'Online') {
+      if (data[i][6] === 'Online' && new Date(data[i][4]) >= cutoffTime) {
         users.push({
           email: data[i][1], name: data[i][2], loginTime: data[i][3],
           lastActivity: data[i][4], avatar: data[i][5], status: data[i][6]
@@ -182,21 +342,188 @@ function getOnlineUsers() {
 }
 
 // =====================================
-// DOCUMENT MANAGEMENT (CRUD)
+// ROLES & AUTHORIZATION
 // =====================================
 
-function getDocuments(filters = {}) {
+/**
+ * What each role may do. Editors may only change documents they own
+ * (the SharedBy column); admins may change anything.
+ */
+const PERMISSIONS = {
+  viewer: [],
+  editor: ['document:create', 'document:update:own', 'document:delete:own', 'category:create', 'tag:create'],
+  admin: ['document:create', 'document:update', 'document:delete', 'document:approve', 'category:create', 'category:manage', 'tag:create', 'tag:manage',
+    'roles:manage', 'activity:audit', 'api:manage']
+};
+
+/**
+ * Resolve a user's role from the UserRoles sheet. The first admin is seeded
+ * by setupDatabase; the executing identity is never trusted on its own since
+ * a deployment may run as the visiting user.
+ */
+function getUserRole(email) {
+  try {
+    if (!email) return 'viewer';
+    const data = getRepository('UserRoles').getValues();
+    const row = data.find((r, i) => i > 0 && String(r[0]).toLowerCase() === email.toLowerCase());
+    if (row && PERMISSIONS[row[1]]) return row[1];
+    return CONFIG.defaultRole;
+  } catch (error) {
+    console.error(`Error resolving role for ${email}:`, error);
+    return 'viewer';
+  }
+}
+
+/**
+ * Central authorization check for every mutation.
+ * @param {Object} user - result of getCurrentUser()
+ * @param {string} permission - e.g. 'document:update'
+ * @param {string} [ownerEmail] - SharedBy of the target document, for owner-based rules
+ * @returns {boolean}
+ */
+function isAuthorized(user, permission, ownerEmail) {
+  if (!user || !user.isSignedIn) return false;
+  const role = user.role || getUserRole(user.email);
+  const granted = PERMISSIONS[role] || [];
+  if (granted.includes(permission)) return true;
+  const isOwner = !!ownerEmail && String(ownerEmail).toLowerCase() === user.email.toLowerCase();
+  return isOwner && granted.includes(`${permission}:own`);
+}
+
+/**
+ * Acting user for time-driven triggers, which have no signed-in user.
+ */
+const SYSTEM_USER = { isSignedIn: true, email: 'system', name: 'System', role: 'admin' };
+
+// Overrides getCurrentUser while a trigger goes through the user-facing functions
+let actingUser = null;
+
+/**
+ * Run fn with getCurrentUser() returning user, e.g. SYSTEM_USER from a trigger.
+ */
+function runAsUser(user, fn) {
+  const previous = actingUser;
+  actingUser = user;
+  try {
+    return fn();
+  } finally {
+    actingUser = previous;
+  }
+}
+
+function forbiddenResponse(permission) {
+  return JSON.stringify({ success: false, forbidden: true, error: `Forbidden: you do not have permission to perform ${permission}` });
+}
+
+function getRoleAssignments() {
   try {
+    const user = getCurrentUser();
+    if (!isAuthorized(user, 'roles:manage')) return forbiddenResponse('roles:manage');
     const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sheet = ss.getSheetByName('Documents');
-    if (!sheet || sheet.getLastRow() <= 1) return { success: true, documents: [] };
+    const sheet = ss.getSheetByName('UserRoles');
+    if (!sheet || sheet.getLastRow() <= 1) {
+      return JSON.stringify({ success: true, assignments: [], roles: Object.keys(PERMISSIONS), defaultRole: CONFIG.defaultRole });
+    }
     const data = sheet.getDataRange().getValues();
+    const assignments = data.slice(1).map(row => ({
+      Email: row[0], Role: row[1], AssignedBy: row[2], DateAssigned: row[3]
+    }));
+    assignments.sort((a, b) => a.Email.localeCompare(b.Email));
+    return JSON.stringify({ success: true, assignments: assignments, roles: Object.keys(PERMISSIONS), defaultRole: CONFIG.defaultRole });
+  } catch (error) {
+    console.error('Error getting role assignments:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+function setUserRole(email, role) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!isAuthorized(user, 'roles:manage')) return forbiddenResponse('roles:manage');
+      if (!email || !PERMISSIONS[role]) {
+        return JSON.stringify({ success: false, error: 'A valid email and role are required' });
+      }
+      email = email.trim().toLowerCase();
+      if (email === user.email.toLowerCase() && role !== 'admin') {
+        return JSON.stringify({ success: false, error: 'You cannot remove your own admin role' });
+      }
+
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const sheet = ss.getSheetByName('UserRoles');
+      if (!sheet) {
+        return JSON.stringify({ success: false, error: 'Database not initialized' });
+      }
+      const data = sheet.getDataRange().getValues();
+      const rowIndex = data.findIndex((row, i) => i > 0 && String(row[0]).toLowerCase() === email);
+      const now = new Date();
+      if (rowIndex > 0) {
+        sheet.getRange(rowIndex + 1, 1, 1, 4).setValues([[email, role, user.email, now]]);
+      } else {
+        sheet.appendRow([email, role, user.email, now]);
+      }
+      invalidateSheetCache('UserRoles');
+      logActivity(user, 'Changed Role', '', `Set ${email} to ${role}`);
+      return JSON.stringify({ success: true, message: 'Role updated successfully' });
+    });
+  } catch (error) {
+    console.error('Error setting user role:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+function removeUserRole(email) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!isAuthorized(user, 'roles:manage')) return forbiddenResponse('roles:manage');
+      if (email && email.toLowerCase() === user.email.toLowerCase()) {
+        return JSON.stringify({ success: false, error: 'You cannot remove your own admin role' });
+      }
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const sheet = ss.getSheetByName('UserRoles');
+      if (!sheet) {
+        return JSON.stringify({ success: false, error: 'Database not initialized' });
+      }
+      const data = sheet.getDataRange().getValues();
+      const rowIndex = data.findIndex((row, i) => i > 0 && String(row[0]).toLowerCase() === String(email).toLowerCase());
+      if (rowIndex === -1) {
+        return JSON.stringify({ success: false, error: 'Role assignment not found' });
+      }
+      sheet.deleteRow(rowIndex + 1);
+      invalidateSheetCache('UserRoles');
+      logActivity(user, 'Changed Role', '', `Reset ${email} to default role`);
+      return JSON.stringify({ success: true, message: 'Role assignment removed' });
+    });
+  } catch (error) {
+    console.error('Error removing user role:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+// =====================================
+// DOCUMENT MANAGEMENT (CRUD)
+// =====================================
+
+/**
+ * @param {Object} [filters] - see passesFilters
+ * @param {Object} [viewer] - the user the list is for; documents in review are only listed for
+ *   their submitter and reviewers. Omitted for system tasks, which see everything.
+ */
+function getDocuments(filters = {}, viewer) {
+  try {
+    const data = getRepository('Documents').getValues();
+    if (data.length <= 1) return { success: true, documents: [] };
     const headers = data[0];
     const documents = [];
+    // Filtering on a parent category includes its subcategories
+    if (filters.categories && filters.categories.length > 0) {
+      filters = Object.assign({}, filters, { categories: expandCategoryNames(filters.categories) });
+    }
     for (let i = 1; i < data.length; i++) {
       const doc = {};
       headers.forEach((header, index) => { doc[header] = data[i][index]; });
-      if (passesFilters(doc, filters)) {
+      if (passesFilters(doc, filters, viewer)) {
         documents.push(doc);
       }
     }
@@ -208,89 +535,259 @@ function getDocuments(filters = {}) {
   }
 }
 
-function addDocument(documentData) {
+/**
+ * @param {Object} documentData
+ * @param {Object} [provider] - from createMetadataProvider; defaults to Drive
+ */
+function addDocument(documentData, provider) {
   try {
-    const user = getCurrentUser();
-    if (!user.isSignedIn) {
-      return JSON.stringify({ success: false, error: 'User not authenticated' });
-    }
-    if (!documentData.DocumentName || !documentData.GoogleDriveURL || !documentData.Category) {
-      return JSON.stringify({ success: false, error: 'Missing required fields' });
-    }
-    if (isDuplicateURL(documentData.GoogleDriveURL)) {
-      return JSON.stringify({ success: false, error: 'A document with this URL already exists' });
-    }
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!user.isSignedIn) {
+        return JSON.stringify({ success: false, error: 'User not authenticated' });
+      }
+      if (!isAuthorized(user, 'document:create')) return forbiddenResponse('document:create');
+      if (!provider || typeof provider.lookup !== 'function') provider = createMetadataProvider();
+      const enrichment = documentData.GoogleDriveURL ? getDocumentMetadataFields(documentData.GoogleDriveURL, provider) : null;
+      if (enrichment && !documentData.DocumentName && enrichment.title) {
+        documentData = Object.assign({}, documentData, { DocumentName: enrichment.title });
+      }
+      const validation = validateDocumentData(documentData);
+      if (validation) {
+        return JSON.stringify({ success: false, code: validation.code, error: validation.error });
+      }
     
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sheet = ss.getSheetByName('Documents');
-    if (!sheet) {
-      return JSON.stringify({ success: false, error: 'Database not initialized' });
-    }
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const sheet = ss.getSheetByName('Documents');
+      if (!sheet) {
+        return JSON.stringify({ success: false, error: 'Database not initialized' });
+      }
     
-    const docId = generateId('DOC');
-    const now = new Date();
-    const fileType = detectFileType(documentData.GoogleDriveURL);
-    const newDocument = [docId, documentData.DocumentName, documentData.GoogleDriveURL, documentData.Description || '', documentData.Category, fileType, user.email, documentData.Tags || '', now, now, 'Active'];
-    sheet.appendRow(newDocument);
+      const now = new Date();
+      const approval = needsApproval(user, documentData.Category) ? pendingApprovalFields(user, now, { isNew: true }) : null;
+      const newDocument = buildDocumentRow(documentData, user, now, Object.assign({}, enrichment && enrichment.fields, approval));
+      const docId = newDocument[0];
+      const tags = newDocument[7];
+      sheet.appendRow(newDocument);
+      invalidateSheetCache('Documents');
     
-    logActivity(user, 'Created Document', docId, `Created "${documentData.DocumentName}"`);
-    updateCategoryCount(documentData.Category, 1);
-    if (documentData.Tags) updateTagCounts(documentData.Tags, 1);
+      logActivity(user, 'Created Document', docId, `Created "${documentData.DocumentName}"`);
+      updateCategoryCount(documentData.Category, 1);
+      if (tags) updateTagCounts(tags, 1, user);
     
-    return JSON.stringify({ success: true, docId: docId, message: 'Document added successfully' });
+      const created = toRecord(SCHEMA.Documents, newDocument);
+      if (approval) {
+        logActivity(user, 'Submitted For Review', docId, `Submitted "${documentData.DocumentName}" for approval in ${documentData.Category}`);
+        notifyApprovers([created], user);
+      }
+      return JSON.stringify({
+        success: true, docId: docId, document: created, pendingReview: !!approval,
+        message: approval ? 'Document submitted for review' : 'Document added successfully'
+      });
+    });
   } catch (error) {
     console.error('Error adding document:', error);
     return JSON.stringify({ success: false, error: error.toString() });
   }
 }
 
-function updateDocument(docId, updates) {
+/**
+ * Validation shared by addDocument and importDocuments.
+ * @param {Object} documentData
+ * @param {Function} [isDuplicate] - URL check, defaults to isDuplicateURL
+ * @returns {?{code: string, error: string}} null when valid
+ */
+function validateDocumentData(documentData, isDuplicate = isDuplicateURL) {
+  if (!documentData.DocumentName || !documentData.GoogleDriveURL || !documentData.Category) {
+    return { code: 'MISSING_FIELDS', error: 'Missing required fields' };
+  }
+  if (isDuplicate(documentData.GoogleDriveURL)) {
+    return { code: 'DUPLICATE_URL', error: 'A document with this URL already exists' };
+  }
+  const invalidDate = findInvalidDateField(documentData);
+  if (invalidDate) {
+    return { code: 'INVALID_DATE', error: `${invalidDate} is not a valid date` };
+  }
+  return null;
+}
+
+/**
+ * A new Documents row in SCHEMA.Documents column order.
+ * @param {Object} [extraFields] - override the defaults, e.g. getDocumentMetadataFields (FileType is guessed
+ *   from the URL without it) or pendingApprovalFields
+ */
+function buildDocumentRow(documentData, user, now, extraFields) {
+  const values = Object.assign({
+    DocID: generateId('DOC'),
+    DocumentName: documentData.DocumentName,
+    GoogleDriveURL: documentData.GoogleDriveURL,
+    Description: documentData.Description || '',
+    Category: documentData.Category,
+    FileType: detectFileType(documentData.GoogleDriveURL),
+    SharedBy: user.email,
+    Tags: normalizeTags(documentData.Tags).join(', '),
+    DateAdded: now,
+    LastModified: now,
+    Status: 'Active',
+    ReviewBy: parseReviewDate(documentData.ReviewBy),
+    ExpiresOn: parseReviewDate(documentData.ExpiresOn),
+    Revision: 1,
+    ChangedAt: now
+  }, extraFields);
+  return SCHEMA.Documents.map(header => values[header] !== undefined ? values[header] : '');
+}
+
+// Fields the edit form (and the API) may change; Revision is the optimistic concurrency token
+const EDITABLE_DOCUMENT_FIELDS = ['DocumentName', 'GoogleDriveURL', 'Description', 'Category', 'Tags', 'ReviewBy', 'ExpiresOn', 'Revision'];
+
+/**
+ * Client entry point for document edits. Anything outside EDITABLE_DOCUMENT_FIELDS is refused, except
+ * Status: PENDING_REVIEW, which resubmits a rejected document.
+ * @param {string} docId
+ * @param {Object} updates - column name to new value
+ * @param {Object} [provider] - from createMetadataProvider; used when the URL is part of the update
+ */
+function updateDocument(docId, updates, provider) {
+  const invalidField = Object.keys(updates || {}).find(field =>
+    !EDITABLE_DOCUMENT_FIELDS.includes(field) && !(field === 'Status' && updates.Status === PENDING_REVIEW));
+  if (invalidField) {
+    return JSON.stringify({ success: false, code: 'INVALID_FIELD', error: `${invalidField} cannot be edited` });
+  }
+  return applyDocumentUpdate(docId, updates, provider);
+}
+
+/**
+ * Write any Documents columns. Only for callers that choose the fields themselves (archive, restore,
+ * revert); user input goes through updateDocument.
+ */
+function applyDocumentUpdate(docId, updates, provider) {
   try {
-    const user = getCurrentUser();
-    if (!user.isSignedIn) {
-      return JSON.stringify({ success: false, error: 'User not authenticated' });
-    }
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!user.isSignedIn) {
+        return JSON.stringify({ success: false, error: 'User not authenticated' });
+      }
     
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sheet = ss.getSheetByName('Documents');
-    if (!sheet) {
-      return JSON.stringify({ success: false, error: 'Database not initialized' });
-    }
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const sheet = ss.getSheetByName('Documents');
+      if (!sheet) {
+        return JSON.stringify({ success: false, error: 'Database not initialized' });
+      }
     
-    const data = sheet.getDataRange().getValues();
-    const headers = data[0];
-    const rowIndex = data.findIndex(row => row[0] === docId);
+      const data = sheet.getDataRange().getValues();
+      const headers = data[0];
+      const rowIndex = data.findIndex(row => row[0] === docId);
     
-    if (rowIndex === -1) {
-      return JSON.stringify({ success: false, error: 'Document not found' });
-    }
+      if (rowIndex === -1) {
+        return JSON.stringify({ success: false, error: 'Document not found' });
+      }
+      if (!isAuthorized(user, 'document:update', data[rowIndex][headers.indexOf('SharedBy')])) {
+        return forbiddenResponse('document:update');
+      }
+      if (updates.GoogleDriveURL && updates.GoogleDriveURL !== data[rowIndex][headers.indexOf('GoogleDriveURL')] &&
+          isDuplicateURL(updates.GoogleDriveURL, docId)) {
+        return JSON.stringify({ success: false, code: 'DUPLICATE_URL', error: 'A document with this URL already exists' });
+      }
+      const invalidDate = findInvalidDateField(updates);
+      if (invalidDate) {
+        return JSON.stringify({ success: false, code: 'INVALID_DATE', error: `${invalidDate} is not a valid date` });
+      }
+      const currentStatus = data[rowIndex][headers.indexOf('Status')];
+      if (currentStatus === PENDING_REVIEW && updates.Status !== undefined && updates.Status !== PENDING_REVIEW) {
+        return JSON.stringify({
+          success: false, code: 'PENDING_REVIEW',
+          error: 'This document is waiting for review - it can be approved or rejected from the review queue'
+        });
+      }
+      // A rejected document can only be resubmitted (Status: PENDING_REVIEW), which getApprovalSubmission turns into a review
+      if (currentStatus === 'Rejected' && updates.Status !== undefined && updates.Status !== 'Rejected' && updates.Status !== PENDING_REVIEW) {
+        return JSON.stringify({
+          success: false, code: 'REJECTED',
+          error: 'This document was rejected - resubmit it for review to publish it'
+        });
+      }
+      // Optimistic concurrency: an edit carries the Revision it started from and is refused if that has moved on
+      const revisionCol = headers.indexOf('Revision');
+      const currentRevision = Number(data[rowIndex][revisionCol]) || 0;
+      if (updates.Revision !== undefined) {
+        if (Number(updates.Revision) !== currentRevision) {
+          const current = {};
+          headers.forEach((header, index) => { current[header] = data[rowIndex][index]; });
+          return JSON.stringify({
+            success: false, conflict: true, document: current,
+            error: 'This document was changed by someone else while you were editing it'
+          });
+        }
+        delete updates.Revision;
+      }
     
-    const changes = [];
-    const oldCategory = data[rowIndex][headers.indexOf('Category')];
-    const oldTags = data[rowIndex][headers.indexOf('Tags')];
+      // Refresh Drive metadata when the link changes, or on edit of a document that never had any
+      let metadata = null;
+      if (updates.GoogleDriveURL && (updates.GoogleDriveURL !== data[rowIndex][headers.indexOf('GoogleDriveURL')] ||
+          !data[rowIndex][headers.indexOf('MimeType')])) {
+        if (!provider || typeof provider.lookup !== 'function') provider = createMetadataProvider();
+        metadata = getDocumentMetadataFields(updates.GoogleDriveURL, provider).fields;
+        updates.FileType = metadata.FileType;
+        // MimeType, FileOwner, FileModifiedAt and ThumbnailURL are adjacent columns (see SCHEMA.Documents)
+        sheet.getRange(rowIndex + 1, headers.indexOf('MimeType') + 1, 1, 4)
+          .setValues([[metadata.MimeType || '', metadata.FileOwner || '', metadata.FileModifiedAt || '', metadata.ThumbnailURL || '']]);
+      }
+    
+      const changes = [];
+      const fieldChanges = [];
+      const oldCategory = data[rowIndex][headers.indexOf('Category')];
+      const oldTags = data[rowIndex][headers.indexOf('Tags')];
+      if (updates.Tags !== undefined) updates.Tags = normalizeTags(updates.Tags).join(', ');
+      // The sheet hands dates back as Date objects while the edit form sends 'yyyy-MM-dd'
+      const isUnchanged = (field, oldValue) => REVIEW_DATE_FIELDS.includes(field)
+        ? isSameReviewDate(oldValue, updates[field]) : oldValue === updates[field];
+      REVIEW_DATE_FIELDS.forEach(field => {
+        if (updates[field] !== undefined) updates[field] = parseReviewDate(updates[field]);
+      });
     
-    Object.keys(updates).forEach(field => {
-      const colIndex = headers.indexOf(field);
-      if (colIndex > -1 && updates[field] !== undefined && data[rowIndex][colIndex] !== updates[field]) {
-        sheet.getRange(rowIndex + 1, colIndex + 1).setValue(updates[field]);
-        changes.push(`${field} updated`);
+      Object.keys(updates).forEach(field => {
+        const colIndex = headers.indexOf(field);
+        if (colIndex > -1 && updates[field] !== undefined && !isUnchanged(field, data[rowIndex][colIndex])) {
+          sheet.getRange(rowIndex + 1, colIndex + 1).setValue(updates[field]);
+          changes.push(`${field} updated`);
+          fieldChanges.push({ field: field, oldValue: data[rowIndex][colIndex], newValue: updates[field] });
+        }
+      });
+      const modifiedAt = new Date();
+      const approval = getApprovalSubmission(user, headers, data[rowIndex], fieldChanges, modifiedAt);
+      if (approval) {
+        Object.keys(approval).forEach(field => sheet.getRange(rowIndex + 1, headers.indexOf(field) + 1).setValue(approval[field]));
       }
-    });
+      const pendingReview = !!approval;
+      recordRevisions(user, docId, fieldChanges);
     
-    sheet.getRange(rowIndex + 1, headers.indexOf('LastModified') + 1).setValue(new Date());
+      sheet.getRange(rowIndex + 1, headers.indexOf('LastModified') + 1).setValue(modifiedAt);
+      sheet.getRange(rowIndex + 1, headers.indexOf('ChangedAt') + 1).setValue(modifiedAt);
+      const revision = fieldChanges.length > 0 ? currentRevision + 1 : currentRevision;
+      if (revision !== currentRevision) sheet.getRange(rowIndex + 1, revisionCol + 1).setValue(revision);
+      invalidateSheetCache('Documents');
     
-    if (updates.Category && updates.Category !== oldCategory) {
-      updateCategoryCount(oldCategory, -1);
-      updateCategoryCount(updates.Category, 1);
-    }
-    if (updates.Tags !== oldTags) {
-      updateTagCounts(oldTags, -1);
-      updateTagCounts(updates.Tags, 1);
-    }
+      if (updates.Category && updates.Category !== oldCategory) {
+        updateCategoryCount(oldCategory, -1);
+        updateCategoryCount(updates.Category, 1);
+      }
+      if (updates.Tags !== undefined && updates.Tags !== oldTags) {
+        updateTagCounts(oldTags, -1);
+        updateTagCounts(updates.Tags, 1, user);
+      }
     
-    if (changes.length > 0) logActivity(user, 'Updated Document', docId, changes.join(', '));
+      if (changes.length > 0) logActivity(user, 'Updated Document', docId, changes.join(', '));
+      if (pendingReview) {
+        const updated = toRecord(headers, sheet.getRange(rowIndex + 1, 1, 1, headers.length).getValues()[0]);
+        logActivity(user, 'Submitted For Review', docId, `Submitted changes to "${updated.DocumentName}" for approval`);
+        notifyApprovers([updated], user);
+      }
     
-    return JSON.stringify({ success: true, message: 'Document updated successfully' });
+      return JSON.stringify({
+        success: true, metadata: metadata, revision: revision, status: pendingReview ? PENDING_REVIEW : (updates.Status || currentStatus),
+        pendingReview: pendingReview, message: pendingReview ? 'Changes submitted for review' : 'Document updated successfully'
+      });
+    });
   } catch (error) {
     console.error('Error updating document:', error);
     return JSON.stringify({ success: false, error: error.toString() });
@@ -300,7 +797,7 @@ function updateDocument(docId, updates) {
 function archiveDocument(docId) {
   try {
     const user = getCurrentUser();
-    const result = JSON.parse(updateDocument(docId, { Status: 'Archived' }));
+    const result = JSON.parse(applyDocumentUpdate(docId, { Status: 'Archived' }));
     if (result.success) logActivity(user, 'Archived Document', docId, 'Document archived');
     return JSON.stringify(result);
   } catch (error) {
@@ -312,7 +809,7 @@ function archiveDocument(docId) {
 function restoreDocument(docId) {
   try {
     const user = getCurrentUser();
-    const result = JSON.parse(updateDocument(docId, { Status: 'Active' }));
+    const result = JSON.parse(applyDocumentUpdate(docId, { Status: 'Active' }));
     if (result.success) logActivity(user, 'Restored Document', docId, 'Document restored');
     return JSON.stringify(result);
   } catch (error) {
@@ -323,36 +820,54 @@ function restoreDocument(docId) {
 
 function deleteDocument(docId) {
   try {
-    const user = getCurrentUser();
-    if (!user.isSignedIn) {
-      return JSON.stringify({ success: false, error: 'User not authenticated' });
-    }
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!user.isSignedIn) {
+        return JSON.stringify({ success: false, error: 'User not authenticated' });
+      }
     
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sheet = ss.getSheetByName('Documents');
-    if (!sheet) {
-      return JSON.stringify({ success: false, error: 'Database not initialized' });
-    }
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const sheet = ss.getSheetByName('Documents');
+      if (!sheet) {
+        return JSON.stringify({ success: false, error: 'Database not initialized' });
+      }
     
-    const data = sheet.getDataRange().getValues();
-    const rowIndex = data.findIndex(row => row[0] === docId);
+      const data = sheet.getDataRange().getValues();
+      const headers = data[0];
+      const rowIndex = data.findIndex(row => row[0] === docId);
 
-    if (rowIndex === -1) {
-      return JSON.stringify({ success: false, error: 'Document not found' });
-    }
+      if (rowIndex === -1) {
+        return JSON.stringify({ success: false, error: 'Document not found' });
+      }
+      if (!isAuthorized(user, 'document:delete', data[rowIndex][headers.indexOf('SharedBy')])) {
+        return forbiddenResponse('document:delete');
+      }
     
-    const docName = data[rowIndex][1];
-    const category = data[rowIndex][4];
-    const tags = data[rowIndex][7];
+      const docName = data[rowIndex][headers.indexOf('DocumentName')];
+      const category = data[rowIndex][headers.indexOf('Category')];
+      const tags = data[rowIndex][headers.indexOf('Tags')];
+      const status = data[rowIndex][headers.indexOf('Status')];
+      if (status === 'Trashed') {
+        return JSON.stringify({ success: false, error: 'Document is already in the trash' });
+      }
     
-    sheet.deleteRow(rowIndex + 1);
+      // Move to trash; the row and favorites stay until purgeExpiredTrash or emptyTrash
+      const row = data[rowIndex];
+      row[headers.indexOf('Status')] = 'Trashed';
+      row[headers.indexOf('PreviousStatus')] = status;
+      row[headers.indexOf('TrashedAt')] = new Date();
+      row[headers.indexOf('TrashedBy')] = user.email;
+      row[headers.indexOf('Revision')] = (Number(row[headers.indexOf('Revision')]) || 0) + 1;
+      row[headers.indexOf('ChangedAt')] = new Date();
+      sheet.getRange(rowIndex + 1, 1, 1, row.length).setValues([row]);
+      invalidateSheetCache('Documents');
     
-    updateCategoryCount(category, -1);
-    if (tags) updateTagCounts(tags, -1);
-    removeFromAllFavorites(docId);
-    logActivity(user, 'Deleted Document', docId, `Permanently deleted "${docName}"`);
+      updateCategoryCount(category, -1);
+      if (tags) updateTagCounts(tags, -1);
+      logActivity(user, 'Trashed Document', docId, `Moved "${docName}" to trash`);
     
-    return JSON.stringify({ success: true, message: 'Document deleted successfully' });
+      return JSON.stringify({ success: true, message: 'Document moved to trash' });
+    });
   } catch (error) {
     console.error('Error deleting document:', error);
     return JSON.stringify({ success: false, error: error.toString() });
@@ -360,241 +875,4561 @@ function deleteDocument(docId) {
 }
 
 // =====================================
-// BULK OPERATIONS
+// TRASH
 // =====================================
 
-function bulkArchiveDocuments(docIds) {
+/**
+ * Trashed documents keep their row, favorites and history until purged.
+ * Status 'Trashed' is separate from 'Archived'; PreviousStatus remembers which one to go back to.
+ */
+function getTrash() {
   try {
     const user = getCurrentUser();
     if (!user.isSignedIn) {
       return JSON.stringify({ success: false, error: 'User not authenticated' });
     }
-    let successCount = 0;
-    docIds.forEach(docId => {
-      const result = JSON.parse(updateDocument(docId, { Status: 'Archived' }));
-      if (result.success) {
-        logActivity(user, 'Archived Document', docId, 'Bulk operation');
-        successCount++;
-      }
+    const result = getDocuments({ status: ['Trashed'], includeTrashed: true });
+    if (!result.success) return JSON.stringify(result);
+    const dayMs = 24 * 60 * 60 * 1000;
+    const documents = result.documents.map(doc => {
+      const purgeAt = new Date(new Date(doc.TrashedAt).getTime() + CONFIG.trashRetentionDays * dayMs);
+      return Object.assign({}, doc, {
+        PurgeAt: purgeAt,
+        DaysRemaining: Math.max(0, Math.ceil((purgeAt - Date.now()) / dayMs)),
+        CanRestore: isAuthorized(user, 'document:delete', doc.SharedBy)
+      });
     });
-    return JSON.stringify({ success: true, summary: `${successCount} of ${docIds.length} documents archived.` });
+    documents.sort((a, b) => new Date(b.TrashedAt) - new Date(a.TrashedAt));
+    return JSON.stringify({ success: true, documents: documents, retentionDays: CONFIG.trashRetentionDays });
   } catch (error) {
-    console.error('Error in bulk archive:', error);
+    console.error('Error getting trash:', error);
     return JSON.stringify({ success: false, error: error.toString() });
   }
 }
 
-function bulkRestoreDocuments(docIds) {
+function restoreFromTrash(docId) {
   try {
-    const user = getCurrentUser();
-    if (!user.isSignedIn) {
-      return JSON.stringify({ success: false, error: 'User not authenticated' });
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!user.isSignedIn) {
+        return JSON.stringify({ success: false, error: 'User not authenticated' });
+      }
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const sheet = ss.getSheetByName('Documents');
+      if (!sheet) {
+        return JSON.stringify({ success: false, error: 'Database not initialized' });
+      }
+
+      const data = sheet.getDataRange().getValues();
+      const headers = data[0];
+      const col = name => headers.indexOf(name);
+      const rowIndex = data.findIndex(row => row[0] === docId);
+      if (rowIndex === -1 || data[rowIndex][col('Status')] !== 'Trashed') {
+        return JSON.stringify({ success: false, error: 'Document not found in trash' });
+      }
+      const row = data[rowIndex];
+      if (!isAuthorized(user, 'document:delete', row[col('SharedBy')])) {
+        return forbiddenResponse('document:delete');
+      }
+
+      const status = row[col('PreviousStatus')] || 'Active';
+      row[col('Status')] = status;
+      row[col('TrashedAt')] = '';
+      row[col('TrashedBy')] = '';
+      row[col('PreviousStatus')] = '';
+      row[col('LastModified')] = new Date();
+      row[col('ChangedAt')] = row[col('LastModified')];
+      row[col('Revision')] = (Number(row[col('Revision')]) || 0) + 1;
+      sheet.getRange(rowIndex + 1, 1, 1, row.length).setValues([row]);
+      invalidateSheetCache('Documents');
+
+      updateCategoryCount(row[col('Category')], 1);
+      if (row[col('Tags')]) updateTagCounts(row[col('Tags')], 1, user);
+      logActivity(user, 'Restored From Trash', docId, `Restored "${row[col('DocumentName')]}"`);
+
+      return JSON.stringify({ success: true, status: status, revision: row[col('Revision')], message: 'Document restored from trash' });
+    });
+  } catch (error) {
+    console.error('Error restoring from trash:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Permanently delete every trashed document the current user may delete.
+ */
+function emptyTrash() {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!user.isSignedIn) {
+        return JSON.stringify({ success: false, error: 'User not authenticated' });
+      }
+      const purged = purgeTrashedDocuments(user, doc => isAuthorized(user, 'document:delete', doc.SharedBy));
+      return JSON.stringify({ success: true, purged: purged, message: `${purged} documents permanently deleted` });
+    });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Time-driven trigger handler: purge documents trashed longer than the retention period.
+ */
+function purgeExpiredTrash() {
+  try {
+    return withScriptLock(() => {
+      const cutoff = new Date(Date.now() - CONFIG.trashRetentionDays * 24 * 60 * 60 * 1000);
+      const purged = purgeTrashedDocuments(SYSTEM_USER, doc => new Date(doc.TrashedAt) < cutoff);
+      return JSON.stringify({ success: true, purged: purged });
+    });
+  } catch (error) {
+    console.error('Error purging expired trash:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Install the daily purge trigger. Run once from the script editor.
+ */
+function installTrashPurgeTrigger() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === 'purgeExpiredTrash')
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  ScriptApp.newTrigger('purgeExpiredTrash').timeBased().everyDays(1).atHour(2).create();
+  return JSON.stringify({ success: true, message: 'Trash purge trigger installed' });
+}
+
+function purgeTrashedDocuments(user, shouldPurge) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('Documents');
+  if (!sheet || sheet.getLastRow() <= 1) return 0;
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  let purged = 0;
+  // Walk bottom-up so deleting a row doesn't shift the ones still to visit
+  for (let i = data.length - 1; i >= 1; i--) {
+    const doc = {};
+    headers.forEach((header, index) => { doc[header] = data[i][index]; });
+    if (doc.Status !== 'Trashed' || !shouldPurge(doc)) continue;
+    sheet.deleteRow(i + 1);
+    removeFromAllCollections(doc.DocID);
+    logActivity(user, 'Deleted Document', doc.DocID, `Permanently deleted "${doc.DocumentName}"`);
+    purged++;
+  }
+  if (purged > 0) invalidateSheetCache('Documents');
+  return purged;
+}
+
+// =====================================
+// VERSION HISTORY
+// =====================================
+
+/**
+ * Append one revision row per changed field. All rows written by a single
+ * update share a ChangeID so they can be shown and reverted together.
+ * @param {Array<{field: string, oldValue: *, newValue: *}>} fieldChanges
+ */
+function recordRevisions(user, docId, fieldChanges) {
+  try {
+    if (!fieldChanges.length) return;
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName('DocumentRevisions');
+    if (!sheet) return;
+    const rows = buildRevisionRows(user, docId, fieldChanges, new Date());
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+  } catch (error) {
+    console.error(`Error recording revisions for ${docId}:`, error);
+  }
+}
+
+function buildRevisionRows(user, docId, fieldChanges, now) {
+  const changeId = generateId('CHG');
+  return fieldChanges.map(change => [
+    generateId('REV'), changeId, docId, change.field, change.oldValue, change.newValue, user.email, now
+  ]);
+}
+
+function getDocumentHistory(docId) {
+  try {
+    const user = getCurrentUser();
+    if (!user.isSignedIn) {
+      return JSON.stringify({ success: false, error: 'User not authenticated' });
+    }
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName('DocumentRevisions');
+    if (!sheet || sheet.getLastRow() <= 1) return JSON.stringify({ success: true, revisions: [] });
+
+    const data = sheet.getDataRange().getValues();
+    const revisions = data.slice(1).filter(row => row[2] === docId).map(row => ({
+      RevisionID: row[0], ChangeID: row[1], DocID: row[2], Field: row[3],
+      OldValue: row[4], NewValue: row[5], ChangedBy: row[6], Timestamp: row[7]
+    })).reverse();
+    return JSON.stringify({ success: true, revisions: revisions });
+  } catch (error) {
+    console.error('Error getting document history:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Roll a document back to how it was just before the given revision's change.
+ * Every later change is undone too; the rollback itself is recorded as a new revision.
+ */
+function revertDocument(docId, revisionId) {
+  try {
+    const user = getCurrentUser();
+    if (!user.isSignedIn) {
+      return JSON.stringify({ success: false, error: 'User not authenticated' });
+    }
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName('DocumentRevisions');
+    if (!sheet) {
+      return JSON.stringify({ success: false, error: 'Database not initialized' });
+    }
+
+    const data = sheet.getDataRange().getValues();
+    const history = data.slice(1).filter(row => row[2] === docId);
+    const target = history.find(row => row[0] === revisionId);
+    if (!target) {
+      return JSON.stringify({ success: false, error: 'Revision not found' });
+    }
+
+    // Rows are appended chronologically, so the first old value seen per field wins
+    const startIndex = history.findIndex(row => row[1] === target[1]);
+    const restore = {};
+    history.slice(startIndex).forEach(row => {
+      if (!(row[3] in restore)) restore[row[3]] = row[4];
+    });
+
+    const result = JSON.parse(applyDocumentUpdate(docId, restore));
+    if (result.success) {
+      logActivity(user, 'Reverted Document', docId, `Reverted ${Object.keys(restore).join(', ')}`);
+      result.restored = restore;
+    }
+    return JSON.stringify(result);
+  } catch (error) {
+    console.error('Error reverting document:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+// =====================================
+// APPROVAL WORKFLOW
+// =====================================
+
+const PENDING_REVIEW = 'Pending Review';
+// Edits to these fields in a category with an approval policy go back to review
+const APPROVAL_FIELDS = ['GoogleDriveURL', 'Category'];
+
+/**
+ * A category's approval policy. Admins can approve in every category; when a policy
+ * lists no approvers, they are the ones it is routed to.
+ * @returns {{required: boolean, approvers: string[]}} approvers are lower-case emails
+ */
+function getApprovalPolicy(categoryName) {
+  const category = getRepository('Categories').findBy('CategoryName', categoryName)[0];
+  return {
+    required: !!category && category.RequiresApproval === true,
+    approvers: category ? parseEmailList(category.Approvers) : []
+  };
+}
+
+function canApprove(user, categoryName) {
+  if (!user || !user.isSignedIn) return false;
+  return isAuthorized(user, 'document:approve') || getApprovalPolicy(categoryName).approvers.includes(user.email.toLowerCase());
+}
+
+/**
+ * Whether a document user adds to or moves within this category has to be approved first.
+ * Approvers' own changes are published straight away.
+ */
+function needsApproval(user, categoryName) {
+  return getApprovalPolicy(categoryName).required && !canApprove(user, categoryName);
+}
+
+/**
+ * Column values that put a document into review.
+ * @param {Object} detail - { isNew } for a new document, otherwise { previousStatus, previous: {field: value before the edit} }
+ */
+function pendingApprovalFields(user, now, detail) {
+  return {
+    Status: PENDING_REVIEW, ApprovalRequestedBy: user.email, ApprovalRequestedAt: now, ApprovalDetail: JSON.stringify(detail),
+    ApprovalDecidedBy: '', ApprovalDecidedAt: '', ApprovalComment: ''
+  };
+}
+
+function parseApprovalDetail(value) {
+  try {
+    return Object.assign({ previous: {} }, JSON.parse(value || '{}'));
+  } catch (error) {
+    return { previous: {} };
+  }
+}
+
+/**
+ * Check an edit for approval. If it changed the URL or category of a document in a category
+ * with an approval policy - the one it was in or the one it moved to - or of one already in
+ * review, or set Status to PENDING_REVIEW, the document goes to review, remembering the values
+ * to put back if the change is rejected. Adds the Status change to fieldChanges.
+ * @param {Array} row - the document's values before the edit
+ * @returns {?Object} column values to write, from pendingApprovalFields, or null when no review is needed
+ */
+function getApprovalSubmission(user, headers, row, fieldChanges, now) {
+  const reviewed = fieldChanges.filter(change => APPROVAL_FIELDS.includes(change.field));
+  const submitted = fieldChanges.some(change => change.field === 'Status' && change.newValue === PENDING_REVIEW);
+  if (reviewed.length === 0 && !submitted) return null;
+  const category = reviewed.find(change => change.field === 'Category');
+  const categories = category ? [category.oldValue, category.newValue] : [row[headers.indexOf('Category')]];
+  const status = row[headers.indexOf('Status')];
+  if (status !== PENDING_REVIEW && !submitted && !categories.some(name => needsApproval(user, name))) return null;
+
+  // Further edits while still in review are added to it, keeping the values from before the first one.
+  // A rejected document only ever was a new one, so it is reviewed as new again.
+  const detail = status === PENDING_REVIEW ? parseApprovalDetail(row[headers.indexOf('ApprovalDetail')])
+    : status === 'Rejected' ? { isNew: true, previous: {} } : { previousStatus: status, previous: {} };
+  if (!detail.isNew) {
+    reviewed.forEach(change => {
+      if (!(change.field in detail.previous)) detail.previous[change.field] = change.oldValue;
+    });
+  }
+  if (status !== PENDING_REVIEW && !submitted) fieldChanges.push({ field: 'Status', oldValue: status, newValue: PENDING_REVIEW });
+  return pendingApprovalFields(user, now, detail);
+}
+
+/**
+ * Categories whose approvers a pending document is routed to: its own, and the one it is
+ * moving out of when that has a policy.
+ */
+function getReviewCategories(doc) {
+  const detail = parseApprovalDetail(doc.ApprovalDetail);
+  return [doc.Category, detail.previous.Category]
+    .filter((name, i, names) => name && names.indexOf(name) === i && getApprovalPolicy(name).required);
+}
+
+function canReviewDocument(user, doc) {
+  const categories = getReviewCategories(doc);
+  return categories.length === 0 ? isAuthorized(user, 'document:approve') : categories.some(name => canApprove(user, name));
+}
+
+/**
+ * Documents waiting for review, or rejected, are only visible to the person who submitted
+ * them and the people who can review them.
+ */
+function canSeeDocument(user, doc) {
+  if (doc.Status !== PENDING_REVIEW && doc.Status !== 'Rejected') return true;
+  if (!user || !user.isSignedIn) return false;
+  const email = user.email.toLowerCase();
+  if ([doc.ApprovalRequestedBy, doc.SharedBy].some(value => String(value).toLowerCase() === email)) return true;
+  return canReviewDocument(user, doc);
+}
+
+/**
+ * Lower-case emails of everyone a category's submissions go to.
+ */
+function getApproverEmails(categoryName) {
+  const approvers = getApprovalPolicy(categoryName).approvers;
+  if (approvers.length > 0) return approvers;
+  return getRepository('UserRoles').findBy('Role', 'admin').map(role => String(role.Email).toLowerCase());
+}
+
+/**
+ * Email each approver one list of the documents waiting for them.
+ * @param {Object[]} documents - document records in review
+ * @param {Object} submitter - not emailed about their own submissions
+ * @param {Object} [mailer] - from createMailer; defaults to MailApp
+ */
+function notifyApprovers(documents, submitter, mailer) {
+  try {
+    if (!mailer || typeof mailer.send !== 'function') mailer = createMailer();
+    const byApprover = {};
+    documents.forEach(doc => {
+      const categories = getReviewCategories(doc);
+      (categories.length > 0 ? categories : [doc.Category]).forEach(name => {
+        getApproverEmails(name).forEach(email => {
+          if (email === submitter.email.toLowerCase()) return;
+          byApprover[email] = byApprover[email] || [];
+          if (!byApprover[email].includes(doc)) byApprover[email].push(doc);
+        });
+      });
+    });
+    Object.keys(byApprover).forEach(email => {
+      try {
+        mailer.send(email, `${CONFIG.appName}: ${byApprover[email].length} document(s) waiting for your approval`,
+          buildApprovalRequestHtml(byApprover[email], submitter));
+      } catch (error) {
+        console.error(`Error sending approval request to ${email}:`, error);
+      }
+    });
+  } catch (error) {
+    console.error('Error notifying approvers:', error);
+  }
+}
+
+function buildApprovalRequestHtml(documents, submitter) {
+  return `<p>${escapeHtml(submitter.name || submitter.email)} submitted these documents for approval in ${escapeHtml(CONFIG.appName)}.</p>
+    <ul>${documents.map(doc => `<li><a href="${escapeHtml(doc.GoogleDriveURL)}">${escapeHtml(doc.DocumentName)}</a>
+      (${escapeHtml(doc.Category)}) · ${parseApprovalDetail(doc.ApprovalDetail).isNew ? 'new document' : 'changed link or category'}</li>`).join('')}</ul>
+    <p>Approve or reject them from the Review Queue page.</p>`;
+}
+
+/**
+ * Pending documents the current user can approve, plus their own submissions that are
+ * still pending or were rejected.
+ */
+function getReviewQueue() {
+  try {
+    const user = getCurrentUser();
+    if (!user.isSignedIn) {
+      return JSON.stringify({ success: false, error: 'User not authenticated' });
+    }
+    const email = user.email.toLowerCase();
+    const documents = [];
+    getRepository('Documents').getRecords().forEach(doc => {
+      if (doc.Status !== PENDING_REVIEW && doc.Status !== 'Rejected') return;
+      const mine = String(doc.ApprovalRequestedBy).toLowerCase() === email;
+      const canReview = doc.Status === PENDING_REVIEW && canReviewDocument(user, doc);
+      if (!mine && !canReview) return;
+      const detail = parseApprovalDetail(doc.ApprovalDetail);
+      documents.push(Object.assign({}, doc, { IsNew: !!detail.isNew, Previous: detail.previous, CanReview: canReview }));
+    });
+    documents.sort((a, b) => new Date(a.ApprovalRequestedAt) - new Date(b.ApprovalRequestedAt));
+    return JSON.stringify({ success: true, documents: documents });
+  } catch (error) {
+    console.error('Error getting review queue:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Approve or reject a pending document. Approving publishes it; rejecting a new document
+ * marks it Rejected, and rejecting an edit puts the old link and category back.
+ * @param {string} decision - 'approve' or 'reject'
+ * @param {string} [comment] - required when rejecting; sent to the submitter
+ * @param {Object} [provider] - from createMetadataProvider; used when a rejected edit restores the old link
+ */
+function reviewDocument(docId, decision, comment, provider) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!user.isSignedIn) {
+        return JSON.stringify({ success: false, error: 'User not authenticated' });
+      }
+      if (decision !== 'approve' && decision !== 'reject') {
+        return JSON.stringify({ success: false, error: 'Invalid review decision' });
+      }
+      comment = String(comment || '').trim();
+      if (decision === 'reject' && !comment) {
+        return JSON.stringify({ success: false, error: 'Add a comment explaining why the document was rejected' });
+      }
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Documents');
+      if (!sheet) {
+        return JSON.stringify({ success: false, error: 'Database not initialized' });
+      }
+      const data = sheet.getDataRange().getValues();
+      const headers = data[0];
+      const rowIndex = data.findIndex(row => row[0] === docId);
+      if (rowIndex === -1) {
+        return JSON.stringify({ success: false, error: 'Document not found' });
+      }
+      const doc = toRecord(headers, data[rowIndex]);
+      if (doc.Status !== PENDING_REVIEW) {
+        return JSON.stringify({ success: false, error: 'This document is not waiting for review' });
+      }
+      if (!canReviewDocument(user, doc)) return forbiddenResponse('document:approve');
+
+      const row = data[rowIndex];
+      const set = (field, value) => { row[headers.indexOf(field)] = value; };
+      const detail = parseApprovalDetail(doc.ApprovalDetail);
+      const fieldChanges = [];
+      if (decision === 'reject' && !detail.isNew) {
+        Object.keys(detail.previous).forEach(field => {
+          fieldChanges.push({ field: field, oldValue: doc[field], newValue: detail.previous[field] });
+          set(field, detail.previous[field]);
+        });
+        if ('GoogleDriveURL' in detail.previous) {
+          if (!provider || typeof provider.lookup !== 'function') provider = createMetadataProvider();
+          const metadata = getDocumentMetadataFields(detail.previous.GoogleDriveURL, provider).fields;
+          ['FileType', 'MimeType', 'FileOwner', 'FileModifiedAt', 'ThumbnailURL'].forEach(field => set(field, metadata[field] || ''));
+        }
+      }
+      const status = decision === 'reject' && detail.isNew ? 'Rejected' : (detail.previousStatus || 'Active');
+      fieldChanges.push({ field: 'Status', oldValue: PENDING_REVIEW, newValue: status });
+      const now = new Date();
+      set('Status', status);
+      set('ApprovalDetail', '');
+      set('ApprovalDecidedBy', user.email);
+      set('ApprovalDecidedAt', now);
+      set('ApprovalComment', comment);
+      set('Revision', (Number(doc.Revision) || 0) + 1);
+      set('ChangedAt', now);
+      sheet.getRange(rowIndex + 1, 1, 1, row.length).setValues([row]);
+      recordRevisions(user, docId, fieldChanges);
+      invalidateSheetCache('Documents');
+
+      if (detail.previous.Category && row[headers.indexOf('Category')] !== doc.Category) {
+        updateCategoryCount(doc.Category, -1);
+        updateCategoryCount(detail.previous.Category, 1);
+      }
+      const approved = decision === 'approve';
+      logActivity(user, approved ? 'Approved Document' : 'Rejected Document', docId,
+        `${approved ? 'Approved' : 'Rejected'} "${doc.DocumentName}"${comment ? `: ${comment}` : ''}`);
+      notifySubmitter(toRecord(headers, row), doc.ApprovalRequestedBy, approved, user);
+      return JSON.stringify({ success: true, document: toRecord(headers, row), message: approved ? 'Document approved' : 'Document rejected' });
+    });
+  } catch (error) {
+    console.error('Error reviewing document:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * @param {Object} [mailer] - from createMailer; defaults to MailApp
+ */
+function notifySubmitter(doc, submitterEmail, approved, reviewer, mailer) {
+  try {
+    if (!String(submitterEmail || '').includes('@') || submitterEmail === reviewer.email) return;
+    if (!mailer || typeof mailer.send !== 'function') mailer = createMailer();
+    mailer.send(submitterEmail, `${CONFIG.appName}: "${doc.DocumentName}" was ${approved ? 'approved' : 'rejected'}`,
+      `<p>${escapeHtml(reviewer.name || reviewer.email)} ${approved ? 'approved' : 'rejected'}
+        <a href="${escapeHtml(doc.GoogleDriveURL)}">${escapeHtml(doc.DocumentName)}</a> (${escapeHtml(doc.Category)}).</p>
+      ${doc.ApprovalComment ? `<p>Comment: ${escapeHtml(doc.ApprovalComment)}</p>` : ''}`);
+  } catch (error) {
+    console.error(`Error notifying ${submitterEmail} of review decision:`, error);
+  }
+}
+
+// =====================================
+// SEARCH
+// =====================================
+
+/**
+ * Field qualifiers understood by searchDocuments, e.g. `tag:urgent`.
+ * Each returns the values a qualifier is matched against.
+ */
+const SEARCH_FIELDS = {
+  category: doc => [doc.Category],
+  tag: doc => normalizeTags(doc.Tags),
+  type: doc => [doc.FileType],
+  owner: doc => [doc.SharedBy]
+};
+
+/**
+ * Search documents on the server.
+ * Query syntax: free words, "quoted phrases", -negation, and the qualifiers
+ * category:, tag:, type:, owner:, before:YYYY-MM-DD and after:YYYY-MM-DD (on DateAdded).
+ * @param {string} query
+ * @param {Object} options - { page, pageSize, status, categories, fileTypes, needsAttention, dueForReview }
+ */
+function searchDocuments(query, options = {}) {
+  try {
+    const user = getCurrentUser();
+    if (!user.isSignedIn) {
+      return JSON.stringify({ success: false, error: 'User not authenticated' });
+    }
+
+    const parsed = parseSearchQuery(query);
+    const docsResult = getDocuments({
+      status: options.status, categories: options.categories, fileTypes: options.fileTypes, needsAttention: options.needsAttention,
+      dueForReview: options.dueForReview
+    }, user);
+    if (!docsResult.success) return JSON.stringify(docsResult);
+
+    const favoriteIds = getUserFavorites().favoriteIds || [];
+    const recentFrom = new Date(Date.now() - CONFIG.searchRecentViewDays * 24 * 60 * 60 * 1000);
+    const viewStats = getAnalyticsData({ from: recentFrom }).analytics.documentStats || {};
+
+    const ranked = [];
+    docsResult.documents.forEach(doc => {
+      const relevance = scoreDocument(doc, parsed);
+      if (relevance === null) return;
+      const stats = viewStats[doc.DocID];
+      const boost = (favoriteIds.includes(doc.DocID) ? 3 : 0) + (stats ? Math.log(1 + stats.views) : 0);
+      ranked.push({ doc: doc, score: relevance + boost });
+    });
+    ranked.sort((a, b) => b.score - a.score || new Date(b.doc.LastModified) - new Date(a.doc.LastModified));
+
+    const pageSize = Math.min(Math.max(parseInt(options.pageSize) || CONFIG.searchPageSize, 1), CONFIG.maxSearchResults);
+    const page = Math.max(parseInt(options.page) || 1, 1);
+    const start = (page - 1) * pageSize;
+    const results = ranked.slice(start, start + pageSize).map(item => Object.assign({}, item.doc, { SearchScore: item.score }));
+
+    return JSON.stringify({
+      success: true,
+      query: query || '',
+      results: results,
+      total: ranked.length,
+      page: page,
+      pageSize: pageSize,
+      hasMore: start + pageSize < ranked.length,
+      highlightTerms: parsed.terms.concat(parsed.phrases)
+    });
+  } catch (error) {
+    console.error('Error searching documents:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Split a search query into free terms, phrases, negations and field qualifiers.
+ */
+function parseSearchQuery(query) {
+  const parsed = { terms: [], phrases: [], excluded: [], fields: {}, excludedFields: {}, before: null, after: null };
+  const tokenPattern = /(-)?(?:(\w+):)?(?:"([^"]*)"|(\S+))/g;
+  let match;
+  while ((match = tokenPattern.exec(query || '')) !== null) {
+    const negated = !!match[1];
+    const field = match[2] ? match[2].toLowerCase() : null;
+    const isPhrase = match[3] !== undefined;
+    const value = (isPhrase ? match[3] : match[4] || '').trim().toLowerCase();
+    if (!value) continue;
+
+    if (field === 'before' || field === 'after') {
+      const date = new Date(value);
+      if (!isNaN(date)) parsed[field] = date;
+      continue;
+    }
+    if (field && SEARCH_FIELDS[field]) {
+      const target = negated ? parsed.excludedFields : parsed.fields;
+      (target[field] = target[field] || []).push(value);
+      continue;
+    }
+
+    // Unknown qualifiers (e.g. a pasted URL) are searched as plain text
+    const text = field ? `${field}:${value}` : value;
+    if (negated) parsed.excluded.push(text);
+    else if (isPhrase) parsed.phrases.push(text);
+    else parsed.terms.push(text);
+  }
+  return parsed;
+}
+
+/**
+ * Relevance of a document for a parsed query, or null when it does not match.
+ * Every term, phrase and qualifier must match (AND semantics).
+ */
+function scoreDocument(doc, parsed) {
+  const weighted = [
+    { text: String(doc.DocumentName || '').toLowerCase(), weight: 5 },
+    { text: String(doc.Tags || '').toLowerCase(), weight: 3 },
+    { text: String(doc.Category || '').toLowerCase(), weight: 2 },
+    { text: String(doc.Description || '').toLowerCase(), weight: 1 },
+    { text: [doc.SharedBy, doc.FileType, doc.GoogleDriveURL].join(' ').toLowerCase(), weight: 0.5 }
+  ];
+
+  for (const field of Object.keys(parsed.fields)) {
+    const values = SEARCH_FIELDS[field](doc).map(v => String(v || '').toLowerCase());
+    if (!parsed.fields[field].every(wanted => values.some(v => v.includes(wanted)))) return null;
+  }
+  for (const field of Object.keys(parsed.excludedFields)) {
+    const values = SEARCH_FIELDS[field](doc).map(v => String(v || '').toLowerCase());
+    if (parsed.excludedFields[field].some(unwanted => values.some(v => v.includes(unwanted)))) return null;
+  }
+
+  const added = new Date(doc.DateAdded);
+  if (parsed.before && !(added < parsed.before)) return null;
+  if (parsed.after && !(added > parsed.after)) return null;
+
+  if (parsed.excluded.some(term => weighted.some(f => f.text.includes(term)))) return null;
+
+  let score = 0;
+  const name = weighted[0].text;
+  for (const term of parsed.terms.concat(parsed.phrases)) {
+    const termScore = weighted.reduce((sum, f) => sum + (f.text.includes(term) ? f.weight : 0), 0);
+    if (termScore === 0) return null;
+    score += termScore;
+    if (name === term) score += 10;
+    else if (name.startsWith(term)) score += 2;
+  }
+  return score;
+}
+
+// =====================================
+// IMPORT
+// =====================================
+
+const IMPORT_FORMATS = ['csv', 'json'];
+
+/**
+ * Column aliases accepted in import files, mapped to Documents headers.
+ */
+const IMPORT_COLUMNS = {
+  documentname: 'DocumentName', name: 'DocumentName', title: 'DocumentName',
+  googledriveurl: 'GoogleDriveURL', url: 'GoogleDriveURL', link: 'GoogleDriveURL',
+  description: 'Description',
+  category: 'Category',
+  tags: 'Tags'
+};
+
+/**
+ * Bulk-create documents from CSV or JSON.
+ * Each row goes through the same validation as addDocument; unknown categories and tags are created.
+ * @param {string} payload - CSV text with a header row, or a JSON array of objects
+ * @param {string} format - 'csv' or 'json'
+ * @param {Object} options - { dryRun: true } validates and reports without writing
+ * @returns {string} JSON with a per-row report: { row, status: 'created'|'duplicate'|'invalid', reason, docId }
+ */
+function importDocuments(payload, format, options = {}) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!user.isSignedIn) {
+        return JSON.stringify({ success: false, error: 'User not authenticated' });
+      }
+      if (!isAuthorized(user, 'document:create')) return forbiddenResponse('document:create');
+      format = String(format || '').toLowerCase();
+      if (!IMPORT_FORMATS.includes(format)) {
+        return JSON.stringify({ success: false, error: `Unsupported import format "${format}" - use ${IMPORT_FORMATS.join(' or ')}` });
+      }
+
+      let records;
+      try {
+        records = parseImportPayload(payload, format);
+      } catch (parseError) {
+        return JSON.stringify({ success: false, error: `Could not read ${format} file: ${parseError.message}` });
+      }
+      if (records.length === 0) {
+        return JSON.stringify({ success: false, error: 'No rows found to import' });
+      }
+      if (records.length > CONFIG.maxImportRows) {
+        return JSON.stringify({ success: false, error: `Imports are limited to ${CONFIG.maxImportRows} rows` });
+      }
+
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const sheet = ss.getSheetByName('Documents');
+      const categorySheet = ss.getSheetByName('Categories');
+      if (!sheet || !categorySheet) {
+        return JSON.stringify({ success: false, error: 'Database not initialized' });
+      }
+
+      const knownUrls = new Set();
+      if (sheet.getLastRow() > 1) {
+        sheet.getRange(2, 3, sheet.getLastRow() - 1, 1).getValues().forEach(row => knownUrls.add(canonicalizeUrl(row[0])));
+      }
+      const knownCategories = getCategories({ includeInactive: true }).categories.map(c => c.CategoryName);
+      const canCreateCategories = isAuthorized(user, 'category:create');
+
+      const now = new Date();
+      const report = [];
+      const newRows = [];
+      const newCategories = [];
+      const newTags = [];
+
+      records.forEach(({ row, data }) => {
+        const validation = validateDocumentData(data, url => knownUrls.has(canonicalizeUrl(url)));
+        if (validation) {
+          report.push({ row: row, name: data.DocumentName || '', status: validation.code === 'DUPLICATE_URL' ? 'duplicate' : 'invalid', reason: validation.error });
+          return;
+        }
+        const isNewCategory = !knownCategories.includes(data.Category) && !newCategories.includes(data.Category);
+        if (isNewCategory && !canCreateCategories) {
+          report.push({ row: row, name: data.DocumentName, status: 'invalid', reason: `Unknown category "${data.Category}"` });
+          return;
+        }
+        if (isNewCategory) newCategories.push(data.Category);
+        normalizeTags(data.Tags).forEach(tag => newTags.push(tag));
+
+        // Later rows with the same URL count as duplicates of this one
+        knownUrls.add(canonicalizeUrl(data.GoogleDriveURL));
+        const approval = !isNewCategory && needsApproval(user, data.Category) ? pendingApprovalFields(user, now, { isNew: true }) : null;
+        const documentRow = buildDocumentRow(data, user, now, approval);
+        newRows.push(documentRow);
+        report.push({
+          row: row, name: data.DocumentName, status: 'created', docId: documentRow[0], newCategory: isNewCategory, pendingReview: !!approval
+        });
+      });
+
+      const summary = {
+        total: report.length,
+        created: report.filter(r => r.status === 'created').length,
+        duplicates: report.filter(r => r.status === 'duplicate').length,
+        invalid: report.filter(r => r.status === 'invalid').length,
+        pendingReview: report.filter(r => r.pendingReview).length,
+        newCategories: newCategories
+      };
+
+      if (!options.dryRun && newRows.length > 0) {
+        if (newCategories.length > 0) {
+          const categoryRows = newCategories.map(name => [generateId('CAT'), name, user.email, now, true, 0, '', '', '']);
+          categorySheet.getRange(categorySheet.getLastRow() + 1, 1, categoryRows.length, categoryRows[0].length).setValues(categoryRows);
+          invalidateSheetCache('Categories');
+        }
+        ensureTags(newTags, user);
+        sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, newRows[0].length).setValues(newRows);
+        invalidateSheetCache('Documents');
+        recomputeCategoryCounts();
+        recomputeTagCounts();
+        logActivity(user, 'Imported Documents', '', `Imported ${summary.created} of ${summary.total} rows from ${format.toUpperCase()}`);
+        const pending = newRows.map(documentRow => toRecord(SCHEMA.Documents, documentRow)).filter(doc => doc.Status === PENDING_REVIEW);
+        if (pending.length > 0) notifyApprovers(pending, user);
+      }
+
+      return JSON.stringify({ success: true, dryRun: !!options.dryRun, summary: summary, report: report });
+    });
+  } catch (error) {
+    console.error('Error importing documents:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Turn an import payload into [{ row, data }] using Documents field names.
+ * `row` is the line number in a CSV (header is row 1) or the 1-based array position in JSON.
+ * @param {string} format - one of IMPORT_FORMATS, lower-case
+ */
+function parseImportPayload(payload, format) {
+  const normalizeKey = key => IMPORT_COLUMNS[String(key).toLowerCase().replace(/[^a-z]/g, '')];
+  const toData = source => {
+    const data = {};
+    Object.keys(source).forEach(key => {
+      const field = normalizeKey(key);
+      if (field) data[field] = String(source[key] === null || source[key] === undefined ? '' : source[key]).trim();
+    });
+    return data;
+  };
+
+  if (format === 'json') {
+    const parsed = JSON.parse(payload);
+    const items = Array.isArray(parsed) ? parsed : parsed.documents;
+    if (!Array.isArray(items)) throw new Error('expected an array of documents');
+    return items.map((item, index) => ({ row: index + 1, data: toData(item || {}) }));
+  }
+
+  const rows = Utilities.parseCsv(String(payload).replace(/^\uFEFF/, ''));
+  if (rows.length < 2) return [];
+  const headers = rows[0];
+  return rows.slice(1)
+    .map((values, index) => ({ row: index + 2, values: values }))
+    .filter(({ values }) => values.some(v => String(v).trim() !== ''))
+    .map(({ row, values }) => {
+      const source = {};
+      headers.forEach((header, i) => { source[header] = values[i]; });
+      return { row: row, data: toData(source) };
+    });
+}
+
+// =====================================
+// EXPORT
+// =====================================
+
+const EXPORT_COLUMNS = ['DocID', 'DocumentName', 'GoogleDriveURL', 'Description', 'Category', 'FileType', 'SharedBy', 'Tags', 'DateAdded', 'LastModified', 'Status'];
+
+/**
+ * Export the catalog as CSV, JSON or a printable HTML index grouped by category.
+ * @param {Object} filters - same shape as getDocuments (status, categories, fileTypes, sortBy)
+ * @param {string} format - 'csv', 'json' or 'html'
+ * @param {Object} options - { includeViews, includeFavorites }
+ * @returns {string} JSON with { filename, mimeType, content }
+ */
+function exportDocuments(filters = {}, format = 'csv', options = {}) {
+  try {
+    const user = getCurrentUser();
+    if (!user.isSignedIn) {
+      return JSON.stringify({ success: false, error: 'User not authenticated' });
+    }
+    // Trashed documents are only listed on the Trash page
+    const result = getDocuments(Object.assign({}, filters, { includeTrashed: false }), user);
+    if (!result.success) return JSON.stringify(result);
+
+    const columns = EXPORT_COLUMNS.slice();
+    const viewStats = options.includeViews ? getAnalyticsData().analytics.documentStats || {} : {};
+    const favoriteCounts = options.includeFavorites ? getFavoriteCounts() : {};
+    if (options.includeViews) columns.push('Views', 'UniqueViewers');
+    if (options.includeFavorites) columns.push('Favorites');
+
+    const records = result.documents.map(doc => {
+      const record = {};
+      EXPORT_COLUMNS.forEach(col => { record[col] = doc[col]; });
+      if (options.includeViews) {
+        const stats = viewStats[doc.DocID] || {};
+        record.Views = stats.views || 0;
+        record.UniqueViewers = stats.uniqueViewers || 0;
+      }
+      if (options.includeFavorites) record.Favorites = favoriteCounts[doc.DocID] || 0;
+      return record;
+    });
+
+    const stamp = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+    const basename = `document-center-${stamp}`;
+    let file;
+    switch (String(format).toLowerCase()) {
+      case 'json':
+        file = { filename: `${basename}.json`, mimeType: 'application/json', content: JSON.stringify(records, null, 2) };
+        break;
+      case 'html':
+        file = { filename: `${basename}.html`, mimeType: 'text/html', content: buildExportHtml(records, columns) };
+        break;
+      case 'csv':
+        file = { filename: `${basename}.csv`, mimeType: 'text/csv', content: buildExportCsv(records, columns) };
+        break;
+      default:
+        return JSON.stringify({ success: false, error: `Unsupported export format "${format}"` });
+    }
+
+    logActivity(user, 'Exported Documents', '', `Exported ${records.length} documents as ${format.toUpperCase()}`);
+    return JSON.stringify(Object.assign({ success: true, count: records.length }, file));
+  } catch (error) {
+    console.error('Error exporting documents:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Text that a spreadsheet would read as a formula gets a leading apostrophe.
+ */
+function buildExportCsv(records, columns) {
+  const escape = value => {
+    let text = value instanceof Date ? formatExportDate(value) : String(value === null || value === undefined ? '' : value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [columns.join(',')].concat(records.map(record => columns.map(col => escape(record[col])).join(',')));
+  return lines.join('\r\n');
+}
+
+function buildExportHtml(records, columns) {
+  const groups = {};
+  records.forEach(record => {
+    (groups[record.Category] = groups[record.Category] || []).push(record);
+  });
+  const showViews = columns.includes('Views');
+  const showFavorites = columns.includes('Favorites');
+  const generated = formatExportDate(new Date());
+
+  const sections = Object.keys(groups).sort((a, b) => String(a).localeCompare(String(b))).map(category => `
+    <h2>${escapeHtml(category)} <small>(${groups[category].length})</small></h2>
+    <table>
+      <thead><tr><th>Document</th><th>Type</th><th>Owner</th><th>Tags</th><th>Last Modified</th>${showViews ? '<th>Views</th>' : ''}${showFavorites ? '<th>Favorites</th>' : ''}</tr></thead>
+      <tbody>
+        ${groups[category].map(doc => `
+          <tr>
+            <td><a href="${escapeHtml(doc.GoogleDriveURL)}">${escapeHtml(doc.DocumentName)}</a>${doc.Description ? `<div class="d">${escapeHtml(doc.Description)}</div>` : ''}</td>
+            <td>${escapeHtml(doc.FileType)}</td>
+            <td>${escapeHtml(doc.SharedBy)}</td>
+            <td>${escapeHtml(doc.Tags)}</td>
+            <td>${formatExportDate(doc.LastModified)}</td>
+            ${showViews ? `<td>${doc.Views}</td>` : ''}
+            ${showFavorites ? `<td>${doc.Favorites}</td>` : ''}
+          </tr>`).join('')}
+      </tbody>
+    </table>`).join('');
+
+  return `<!DOCTYPE html><html><head><meta charset="UTF-8"><title>${escapeHtml(CONFIG.appName)} - Document Index</title><style>
+    body{font-family:sans-serif;color:#323338;margin:32px;} h1{color:#0073ea;margin-bottom:4px;} .m{color:#676879;margin-bottom:24px;}
+    h2{border-bottom:2px solid #e1e4e9;padding-bottom:4px;margin-top:32px;} h2 small{color:#676879;font-weight:normal;}
+    table{width:100%;border-collapse:collapse;font-size:13px;} th{text-align:left;background:#f6f7fb;} th,td{padding:6px 8px;border-bottom:1px solid #e1e4e9;vertical-align:top;}
+    a{color:#0073ea;text-decoration:none;font-weight:600;} .d{color:#676879;font-size:12px;}
+    @media print{body{margin:0;} h2{page-break-after:avoid;} tr{page-break-inside:avoid;}}
+    </style></head><body><h1>📋 ${escapeHtml(CONFIG.appName)}</h1><div class="m">${records.length} documents · generated ${generated}</div>${sections}</body></html>`;
+}
+
+function formatExportDate(value) {
+  const date = new Date(value);
+  if (!value || isNaN(date)) return '';
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm');
+}
+
+// =====================================
+// EMBEDS & FEEDS
+// =====================================
+
+// Who can read a category through ?view=embed and ?view=feed: no one, signed-in users, or anyone.
+// A category's access token lets anyone who has it in, whatever its visibility.
+const CATEGORY_VISIBILITY = ['private', 'internal', 'public'];
+const FEED_FIELDS = ['DocID', 'DocumentName', 'GoogleDriveURL', 'Description', 'Category', 'FileType', 'Tags',
+  'DateAdded', 'LastModified', 'ThumbnailURL'];
+
+/**
+ * Read-only routes served by doGet before the app itself, or null when the request is for the app:
+ *   ?view=embed&category=ID    an HTML list of the category's active documents, for iframes
+ *   ?view=feed&tag=name        the same list as JSON, for scripts
+ * Both take category or tag, and optionally token and limit.
+ */
+function handlePublicRoute(e) {
+  const params = (e && e.parameter) || {};
+  if (params.view !== 'embed' && params.view !== 'feed') return null;
+  const listing = getPublicListing(params);
+  if (params.view === 'feed') {
+    return ContentService.createTextOutput(JSON.stringify(listing)).setMimeType(ContentService.MimeType.JSON);
+  }
+  return HtmlService.createHtmlOutput(buildEmbedHtml(listing))
+    .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL)
+    .addMetaTag('viewport', 'width=device-width, initial-scale=1.0')
+    .setTitle(listing.success ? `${listing.title} - ${CONFIG.appName}` : CONFIG.appName);
+}
+
+/**
+ * Active documents of a category (with its subcategories) or a tag that the visitor may read.
+ * Categories the visitor can't read look the same as ones that don't exist.
+ * @param {Object} params - { category (a CategoryID, so renames don't break published links), tag, token, limit }
+ * @returns {Object} { success, title, category|tag, total, documents: [FEED_FIELDS], generatedAt }
+ */
+function getPublicListing(params) {
+  try {
+    if (!params.category === !params.tag) {
+      return { success: false, error: 'Specify either a category or a tag' };
+    }
+    const visitor = getCurrentUser();
+    const categories = getRepository('Categories').getRecords().filter(category => category.Active === true);
+    const readable = categories.filter(category => canReadCategoryListing(category, visitor, params.token))
+      .map(category => category.CategoryName);
+    const category = params.category ? categories.find(c => c.CategoryID === params.category) : null;
+    let included;
+    if (params.category) {
+      if (!category || !readable.includes(category.CategoryName)) return { success: false, error: 'Category not found' };
+      included = expandCategoryNames([category.CategoryName]).filter(name => readable.includes(name));
+    } else {
+      included = readable;
+    }
+
+    const limit = Math.min(Math.max(parseInt(params.limit) || CONFIG.maxFeedDocuments, 1), CONFIG.maxFeedDocuments);
+    const matches = getRepository('Documents').getRecords()
+      .filter(doc => doc.Status === 'Active' && included.includes(doc.Category))
+      .filter(doc => !params.tag || normalizeTags(doc.Tags).some(tag => sameTag(tag, params.tag)))
+      .sort((a, b) => new Date(b.LastModified || b.DateAdded) - new Date(a.LastModified || a.DateAdded));
+    const documents = matches.slice(0, limit).map(doc => {
+      const item = {};
+      FEED_FIELDS.forEach(field => { item[field] = doc[field] instanceof Date ? doc[field].toISOString() : doc[field]; });
+      return item;
+    });
+
+    const listing = { success: true, title: category ? category.CategoryName : `#${params.tag}` };
+    if (category) Object.assign(listing, { categoryId: category.CategoryID, category: category.CategoryName });
+    else listing.tag = params.tag;
+    return Object.assign(listing, { total: matches.length, documents: documents, generatedAt: new Date().toISOString() });
+  } catch (error) {
+    console.error('Error building public listing:', error);
+    return { success: false, error: 'Unable to load documents' };
+  }
+}
+
+function canReadCategoryListing(category, visitor, token) {
+  if (token && category.EmbedToken && constantTimeEquals(token, category.EmbedToken)) return true;
+  const visibility = category.Visibility || 'private';
+  return visibility === 'public' || (visibility === 'internal' && visitor.isSignedIn);
+}
+
+function buildEmbedHtml(listing) {
+  const body = !listing.success
+    ? `<p class="m">${escapeHtml(listing.error)}</p>`
+    : listing.documents.length === 0
+      ? '<p class="m">No documents yet.</p>'
+      : `<ul>${listing.documents.map(doc => `
+        <li>
+          <a href="${escapeHtml(doc.GoogleDriveURL)}" target="_blank" rel="noopener">${escapeHtml(doc.DocumentName)}</a>
+          <span class="t">${escapeHtml(doc.FileType)}</span>
+          ${doc.Description ? `<div class="d">${escapeHtml(doc.Description)}</div>` : ''}
+          <div class="m">${listing.tag ? `${escapeHtml(doc.Category)} · ` : ''}Updated ${formatExportDate(doc.LastModified || doc.DateAdded)}</div>
+        </li>`).join('')}</ul>`;
+
+  return `<!DOCTYPE html><html><head><meta charset="UTF-8"><base target="_blank"><style>
+    body{font-family:sans-serif;color:#323338;margin:0;padding:16px;} h1{font-size:18px;margin:0 0 12px;}
+    ul{list-style:none;margin:0;padding:0;} li{padding:10px 0;border-bottom:1px solid #e1e4e9;}
+    a{color:#0073ea;text-decoration:none;font-weight:600;} .t{color:#676879;font-size:12px;margin-left:6px;}
+    .d{font-size:13px;margin-top:2px;} .m{color:#676879;font-size:12px;margin-top:2px;}
+    </style></head><body>${listing.success ? `<h1>${escapeHtml(listing.title)}</h1>` : ''}${body}</body></html>`;
+}
+
+/**
+ * Embed code and feed URL for a category, with its access token when it has one.
+ * @param {string} categoryId
+ * @returns {string} JSON { visibility, hasToken, embedUrl, feedUrl, embedCode }
+ */
+function getCategoryEmbedLinks(categoryId) {
+  try {
+    const user = getCurrentUser();
+    if (!isAuthorized(user, 'category:manage')) return forbiddenResponse('category:manage');
+    const category = getRepository('Categories').findById(categoryId);
+    if (!category) {
+      return JSON.stringify({ success: false, error: 'Category not found' });
+    }
+    const query = `category=${encodeURIComponent(category.CategoryID)}` +
+      (category.EmbedToken ? `&token=${encodeURIComponent(category.EmbedToken)}` : '');
+    const baseUrl = ScriptApp.getService().getUrl() || '';
+    const embedUrl = `${baseUrl}?view=embed&${query}`;
+    return JSON.stringify({
+      success: true,
+      visibility: category.Visibility || 'private',
+      hasToken: !!category.EmbedToken,
+      embedUrl: embedUrl,
+      feedUrl: `${baseUrl}?view=feed&${query}`,
+      embedCode: `<iframe src="${escapeHtml(embedUrl)}" width="100%" height="480" style="border:0;"></iframe>`
+    });
+  } catch (error) {
+    console.error('Error getting embed links:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Create, replace or (enabled false) remove a category's access token. Replacing it stops
+ * every embed that used the old one.
+ * @param {string} categoryId
+ */
+function setCategoryAccessToken(categoryId, enabled) {
+  try {
+    const user = getCurrentUser();
+    if (!isAuthorized(user, 'category:manage')) return forbiddenResponse('category:manage');
+    return withScriptLock(() => {
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Categories');
+      if (!sheet) {
+        return JSON.stringify({ success: false, error: 'Database not initialized' });
+      }
+      const data = sheet.getDataRange().getValues();
+      const rowIndex = data.findIndex((row, i) => i > 0 && row[0] === categoryId);
+      if (rowIndex === -1) {
+        return JSON.stringify({ success: false, error: 'Category not found' });
+      }
+      sheet.getRange(rowIndex + 1, data[0].indexOf('EmbedToken') + 1).setValue(enabled ? Utilities.getUuid() : '');
+      invalidateSheetCache('Categories');
+      logActivity(user, 'Updated Category', categoryId,
+        `${enabled ? 'Created a new' : 'Removed the'} access token for "${data[rowIndex][1]}"`);
+      return getCategoryEmbedLinks(categoryId);
+    });
+  } catch (error) {
+    console.error('Error setting access token:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+// =====================================
+// REST API
+// =====================================
+
+const API_SCOPES = ['documents:read', 'documents:write', 'documents:delete', 'categories:read', 'categories:write',
+  'tags:read', 'tags:write'];
+// Apps Script can't set the HTTP status, so responses carry the one they would have had
+const API_ERROR_STATUS = {
+  INVALID_REQUEST: 400, MISSING_FIELDS: 400, INVALID_DATE: 400, UNAUTHORIZED: 401, FORBIDDEN: 403,
+  NOT_FOUND: 404, CONFLICT: 409, DUPLICATE_URL: 409, PENDING_REVIEW: 409, INTERNAL_ERROR: 500
+};
+const API_DOCUMENT_FIELDS = FEED_FIELDS.concat(['SharedBy', 'Status', 'ReviewBy', 'ExpiresOn', 'Revision', 'LinkStatus']);
+// What an API update may change; Revision makes it fail with CONFLICT if the document has moved on
+const API_UPDATABLE_FIELDS = EDITABLE_DOCUMENT_FIELDS;
+
+/**
+ * Each route runs as the key's owner (see authenticateApiKey) once the key has the scope.
+ * POST routes are chosen by the body's action. Handlers return what the client-callable
+ * function they wrap returns.
+ */
+const API_ROUTES = {
+  'GET documents': {
+    scope: 'documents:read',
+    handle: params => params.id ? getApiDocument(params.id) : listApiDocuments(params)
+  },
+  'GET search': {
+    scope: 'documents:read',
+    handle: params => mapApiDocuments(JSON.parse(searchDocuments(params.q || '', {
+      page: params.page, pageSize: params.pageSize, status: splitApiParam(params.status || 'Active')
+    })), 'results')
+  },
+  'GET categories': { scope: 'categories:read', handle: () => getCategories() },
+  'GET tags': { scope: 'tags:read', handle: () => getTags() },
+  'POST documents:create': {
+    scope: 'documents:write',
+    handle: (params, body) => mapApiDocuments(JSON.parse(addDocument(pickFields(body.document, API_UPDATABLE_FIELDS))), 'document')
+  },
+  'POST documents:update': { scope: 'documents:write', handle: (params, body) => updateApiDocument(body.id, body.changes) },
+  'POST documents:delete': { scope: 'documents:delete', handle: (params, body) => JSON.parse(deleteDocument(body.id)) },
+  'POST categories:create': {
+    scope: 'categories:write',
+    handle: (params, body) => JSON.parse(addCategory(body.name, { parentName: body.parentName, icon: body.icon, color: body.color }))
+  },
+  'POST tags:create': { scope: 'tags:write', handle: (params, body) => JSON.parse(addTag(body.name)) }
+};
+
+/**
+ * JSON API for other tools, served by doGet and doPost when the request has ?api=<resource>:
+ *   GET  ?api=documents[&status=Active,Archived&category=&fileType=&page=]   one page of documents
+ *   GET  ?api=documents&id=DOC_...                                           one document
+ *   GET  ?api=search&q=...[&page=]                                           searchDocuments query syntax
+ *   GET  ?api=categories, ?api=tags
+ *   POST ?api=documents   { action: 'create', document } | { action: 'update', id, changes } | { action: 'delete', id }
+ *   POST ?api=categories  { action: 'create', name, parentName, icon, color }
+ *   POST ?api=tags        { action: 'create', name }
+ * The API key goes in the key parameter for GET and in the body's key property for POST; changes
+ * never take a key from the URL, where it would end up in logs and browser history.
+ * Failures are { success: false, code, status, error }, code being a key of API_ERROR_STATUS.
+ * @returns {?TextOutput} null for a GET that isn't for the API
+ */
+function handleApiRequest(e, method) {
+  const params = (e && e.parameter) || {};
+  if (!params.api && method === 'GET') return null;
+  const response = routeApiRequest(params, method, e && e.postData);
+  return ContentService.createTextOutput(JSON.stringify(response)).setMimeType(ContentService.MimeType.JSON);
+}
+
+function routeApiRequest(params, method, postData) {
+  try {
+    let body = {};
+    if (method === 'POST') {
+      try {
+        body = JSON.parse((postData && postData.contents) || '{}') || {};
+      } catch (error) {
+        return apiError('INVALID_REQUEST', 'The request body must be JSON');
+      }
+    }
+    ensureSchemaUpToDate();
+    if (method === 'POST' && !body.key && params.key) {
+      return apiError('UNAUTHORIZED', 'Send the API key as "key" in the request body, not in the URL');
+    }
+    const apiKey = authenticateApiKey(method === 'POST' ? body.key : params.key);
+    if (!apiKey) return apiError('UNAUTHORIZED', 'Missing, unknown or revoked API key');
+
+    const route = API_ROUTES[method === 'POST' ? `POST ${params.api}:${body.action}` : `GET ${params.api}`];
+    if (!route) return apiError('NOT_FOUND', `Unknown API route: ${method} ${params.api || ''}${body.action ? ` (${body.action})` : ''}`);
+    if (!parseScopes(apiKey.Scopes).includes(route.scope)) {
+      return apiError('FORBIDDEN', `This API key does not have the ${route.scope} scope`);
+    }
+
+    const actor = { isSignedIn: true, email: apiKey.CreatedBy, name: `API: ${apiKey.Name}`, role: getUserRole(apiKey.CreatedBy) };
+    const result = runAsUser(actor, () => route.handle(params, body));
+    return result.success ? result : toApiError(result);
+  } catch (error) {
+    console.error('Error handling API request:', error);
+    return apiError('INTERNAL_ERROR', 'Something went wrong handling the request');
+  }
+}
+
+function apiError(code, message) {
+  return { success: false, code: code, status: API_ERROR_STATUS[code], error: message };
+}
+
+/**
+ * Give a failed result from one of the wrapped functions an API error code. Their catch blocks
+ * return error.toString(); those details only go to the log.
+ */
+function toApiError(result) {
+  let code = result.code;
+  if (!API_ERROR_STATUS[code]) {
+    if (result.forbidden) code = 'FORBIDDEN';
+    else if (result.conflict) code = 'CONFLICT';
+    else if (/^\w*Error\b/.test(String(result.error))) code = 'INTERNAL_ERROR';
+    else if (/not found/i.test(result.error)) code = 'NOT_FOUND';
+    else code = 'INVALID_REQUEST';
+  }
+  if (code === 'INTERNAL_ERROR') {
+    console.error('Error handling API request:', result.error);
+    return apiError(code, 'Something went wrong handling the request');
+  }
+  const error = apiError(code, result.error);
+  if (result.conflict && result.document) error.document = toApiDocument(result.document);
+  return error;
+}
+
+function listApiDocuments(params) {
+  const result = getDocuments({
+    status: splitApiParam(params.status || 'Active'),
+    categories: splitApiParam(params.category),
+    fileTypes: splitApiParam(params.fileType),
+    sortBy: params.sortBy
+  }, getCurrentUser());
+  if (!result.success) return result;
+  const page = Math.max(parseInt(params.page) || 1, 1);
+  const start = (page - 1) * CONFIG.apiPageSize;
+  return {
+    success: true,
+    documents: result.documents.slice(start, start + CONFIG.apiPageSize).map(toApiDocument),
+    total: result.documents.length,
+    page: page,
+    hasMore: start + CONFIG.apiPageSize < result.documents.length
+  };
+}
+
+function getApiDocument(docId) {
+  const doc = getRepository('Documents').findById(docId);
+  if (!doc || doc.Status === 'Trashed' || !canSeeDocument(getCurrentUser(), doc)) return { success: false, error: 'Document not found' };
+  return { success: true, document: toApiDocument(doc) };
+}
+
+function updateApiDocument(docId, changes) {
+  const updates = pickFields(changes, API_UPDATABLE_FIELDS);
+  if (Object.keys(updates).length === 0) {
+    return { success: false, code: 'INVALID_REQUEST', error: `changes must set at least one of ${API_UPDATABLE_FIELDS.join(', ')}` };
+  }
+  const result = JSON.parse(updateDocument(docId, updates));
+  if (!result.success) return result;
+  return Object.assign(getApiDocument(docId), { pendingReview: result.pendingReview === true });
+}
+
+/**
+ * Trim the documents in result[field] (one document or a list) to API_DOCUMENT_FIELDS.
+ */
+function mapApiDocuments(result, field) {
+  if (result.success && result[field]) {
+    result[field] = Array.isArray(result[field]) ? result[field].map(toApiDocument) : toApiDocument(result[field]);
+  }
+  return result;
+}
+
+function toApiDocument(doc) {
+  const item = {};
+  API_DOCUMENT_FIELDS.forEach(field => { item[field] = doc[field] instanceof Date ? doc[field].toISOString() : doc[field]; });
+  return item;
+}
+
+function pickFields(source, fields) {
+  const picked = {};
+  fields.forEach(field => {
+    if (source && source[field] !== undefined) picked[field] = source[field];
+  });
+  return picked;
+}
+
+function splitApiParam(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseScopes(value) {
+  return splitApiParam(value).filter(scope => API_SCOPES.includes(scope));
+}
+
+/**
+ * The ApiKeys record for a key, or null if it's unknown or revoked. Only hashes are stored.
+ */
+function authenticateApiKey(key) {
+  if (!key) return null;
+  const apiKey = getRepository('ApiKeys').findBy('KeyHash', hashApiKey(String(key)))[0];
+  if (!apiKey || apiKey.RevokedAt) return null;
+  const lastUsed = apiKey.LastUsed ? new Date(apiKey.LastUsed).getTime() : 0;
+  if (Date.now() - lastUsed > CONFIG.apiKeyTouchMinutes * 60 * 1000) touchApiKey(apiKey.KeyID);
+  return apiKey;
+}
+
+function touchApiKey(keyId) {
+  return withScriptLock(() => {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('ApiKeys');
+    const data = sheet.getDataRange().getValues();
+    const rowIndex = data.findIndex((row, i) => i > 0 && row[0] === keyId);
+    if (rowIndex === -1) return;
+    sheet.getRange(rowIndex + 1, data[0].indexOf('LastUsed') + 1).setValue(new Date());
+    invalidateSheetCache('ApiKeys');
+  });
+}
+
+function hashApiKey(key) {
+  return Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, key, Utilities.Charset.UTF_8)
+    .map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+function toApiKeySummary(apiKey) {
+  return {
+    KeyID: apiKey.KeyID, Name: apiKey.Name, Scopes: parseScopes(apiKey.Scopes), CreatedBy: apiKey.CreatedBy,
+    DateCreated: apiKey.DateCreated, LastUsed: apiKey.LastUsed, RevokedAt: apiKey.RevokedAt, RevokedBy: apiKey.RevokedBy
+  };
+}
+
+/**
+ * Every API key, newest first, without the keys themselves.
+ */
+function getApiKeys() {
+  try {
+    const user = getCurrentUser();
+    if (!isAuthorized(user, 'api:manage')) return forbiddenResponse('api:manage');
+    const keys = getRepository('ApiKeys').getRecords().map(toApiKeySummary);
+    keys.sort((a, b) => new Date(b.DateCreated) - new Date(a.DateCreated));
+    return JSON.stringify({ success: true, keys: keys, scopes: API_SCOPES, endpoint: ScriptApp.getService().getUrl() || '' });
+  } catch (error) {
+    console.error('Error getting API keys:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Create a key that acts as the current admin, limited to scopes. The key is only ever
+ * returned here; afterwards it can only be revoked.
+ * @param {string} name - what the key is for, shown in the activity log
+ * @param {string[]} scopes - from API_SCOPES
+ */
+function createApiKey(name, scopes) {
+  try {
+    const user = getCurrentUser();
+    if (!isAuthorized(user, 'api:manage')) return forbiddenResponse('api:manage');
+    name = String(name || '').trim();
+    if (!name) {
+      return JSON.stringify({ success: false, error: 'Name is required' });
+    }
+    scopes = Array.isArray(scopes) ? scopes : [];
+    if (scopes.length === 0 || scopes.some(scope => !API_SCOPES.includes(scope))) {
+      return JSON.stringify({ success: false, error: `Choose scopes from ${API_SCOPES.join(', ')}` });
+    }
+    return withScriptLock(() => {
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('ApiKeys');
+      if (!sheet) {
+        return JSON.stringify({ success: false, error: 'Database not initialized' });
+      }
+      const key = `dck_${Utilities.getUuid().replace(/-/g, '')}`;
+      const row = [generateId('KEY'), name, hashApiKey(key), scopes.join(', '), user.email, new Date(), '', '', ''];
+      sheet.appendRow(row);
+      invalidateSheetCache('ApiKeys');
+      logActivity(user, 'Created API Key', '', `Created API key "${name}" (${scopes.join(', ')})`);
+      return JSON.stringify({ success: true, key: key, apiKey: toApiKeySummary(toRecord(SCHEMA.ApiKeys, row)) });
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+function revokeApiKey(keyId) {
+  try {
+    const user = getCurrentUser();
+    if (!isAuthorized(user, 'api:manage')) return forbiddenResponse('api:manage');
+    return withScriptLock(() => {
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('ApiKeys');
+      if (!sheet) {
+        return JSON.stringify({ success: false, error: 'Database not initialized' });
+      }
+      const data = sheet.getDataRange().getValues();
+      const headers = data[0];
+      const rowIndex = data.findIndex((row, i) => i > 0 && row[0] === keyId);
+      if (rowIndex === -1) {
+        return JSON.stringify({ success: false, error: 'API key not found' });
+      }
+      const row = data[rowIndex];
+      if (!row[headers.indexOf('RevokedAt')]) {
+        row[headers.indexOf('RevokedAt')] = new Date();
+        row[headers.indexOf('RevokedBy')] = user.email;
+        sheet.getRange(rowIndex + 1, 1, 1, row.length).setValues([row]);
+        invalidateSheetCache('ApiKeys');
+        logActivity(user, 'Revoked API Key', '', `Revoked API key "${row[1]}"`);
+      }
+      return JSON.stringify({ success: true, apiKey: toApiKeySummary(toRecord(headers, row)) });
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+// =====================================
+// FILE METADATA
+// =====================================
+
+const DRIVE_MIME = {
+  folder: 'application/vnd.google-apps.folder',
+  shortcut: 'application/vnd.google-apps.shortcut'
+};
+
+const MIME_FILE_TYPES = {
+  'application/vnd.google-apps.document': 'Google Doc',
+  'application/vnd.google-apps.spreadsheet': 'Google Sheet',
+  'application/vnd.google-apps.presentation': 'Google Slides',
+  'application/vnd.google-apps.form': 'Google Form',
+  'application/vnd.google-apps.site': 'Google Site',
+  'application/vnd.google-apps.drawing': 'Google Drawing',
+  'application/vnd.google-apps.folder': 'Drive Folder',
+  'application/pdf': 'PDF',
+  'application/msword': 'Word',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'Word',
+  'application/vnd.ms-excel': 'Excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'Excel',
+  'application/vnd.ms-powerpoint': 'PowerPoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'PowerPoint'
+};
+
+function fileTypeFromMime(mimeType) {
+  if (!mimeType) return null;
+  if (MIME_FILE_TYPES[mimeType]) return MIME_FILE_TYPES[mimeType];
+  if (mimeType.startsWith('image/')) return 'Image';
+  if (mimeType.startsWith('video/')) return 'Video';
+  if (mimeType.startsWith('audio/')) return 'Audio';
+  return null;
+}
+
+/**
+ * Drive file or folder by ID. DriveApp has no single lookup for both.
+ */
+function getDriveItem(id) {
+  try {
+    return DriveApp.getFileById(id);
+  } catch (error) {
+    return DriveApp.getFolderById(id);
+  }
+}
+
+/**
+ * Whether someone could open a Drive item themselves: it is shared with anyone, with their
+ * domain, or with them directly.
+ */
+function canOpenDriveItem(item, email) {
+  email = String(email || '').toLowerCase();
+  const domainOf = value => String(value || '').toLowerCase().split('@')[1] || '';
+  try {
+    const access = item.getSharingAccess();
+    if (access === DriveApp.Access.ANYONE || access === DriveApp.Access.ANYONE_WITH_LINK) return true;
+    if ((access === DriveApp.Access.DOMAIN || access === DriveApp.Access.DOMAIN_WITH_LINK) &&
+        domainOf(email) === domainOf(Session.getEffectiveUser().getEmail())) return true;
+    return [item.getOwner()].concat(item.getEditors(), item.getViewers())
+      .some(person => person && String(person.getEmail()).toLowerCase() === email);
+  } catch (error) {
+    // Sharing details of some shared drive items can't be read
+    return false;
+  }
+}
+
+/**
+ * Looks up Drive metadata for a document URL. Shortcuts are resolved to their target.
+ * @param {Object} [services] - overrides for tests: getDriveFile(id), canOpen(item, email)
+ * @returns {{lookup: function(string, string=): ?Object}} lookup returns null for non-Drive or unreachable
+ *   links, and, when given a viewer's email, for items that viewer couldn't open
+ */
+function createMetadataProvider(services = {}) {
+  const getDriveFile = services.getDriveFile || getDriveItem;
+  const canOpen = services.canOpen || canOpenDriveItem;
+  // Folders have no getMimeType()
+  const mimeTypeOf = item => typeof item.getMimeType === 'function' ? item.getMimeType() : DRIVE_MIME.folder;
+
+  return {
+    lookup: (url, viewerEmail) => {
+      let fileId = extractDriveFileId(url);
+      if (!fileId) return null;
+      let item;
+      try {
+        item = getDriveFile(fileId);
+      } catch (error) {
+        return null;
+      }
+      let mimeType = mimeTypeOf(item);
+      if (mimeType === DRIVE_MIME.shortcut) {
+        const targetId = item.getTargetId();
+        try {
+          item = getDriveFile(targetId);
+          fileId = targetId;
+          mimeType = mimeTypeOf(item);
+        } catch (error) {
+          // Target not visible to us; the shortcut still knows what it points at
+          mimeType = item.getTargetMimeType();
+        }
+      }
+      if (viewerEmail && !canOpen(item, viewerEmail)) return null;
+      // Shared drive items have no owner
+      const owner = item.getOwner();
+      return {
+        fileId: fileId,
+        mimeType: mimeType,
+        title: item.getName(),
+        owner: owner ? owner.getEmail() : '',
+        modifiedAt: item.getLastUpdated(),
+        thumbnailUrl: mimeType === DRIVE_MIME.folder ? '' : `https://drive.google.com/thumbnail?id=${fileId}&sz=w400`
+      };
+    }
+  };
+}
+
+/**
+ * Document columns derived from a URL: FileType always, the Drive columns when metadata was found.
+ * @param {string} [viewerEmail] - only return Drive details this user could see for themselves
+ */
+function getDocumentMetadataFields(url, provider, viewerEmail) {
+  const metadata = provider.lookup(url, viewerEmail);
+  const fields = { FileType: detectFileType(url, metadata && metadata.mimeType) };
+  if (metadata) {
+    Object.assign(fields, {
+      MimeType: metadata.mimeType,
+      FileOwner: metadata.owner,
+      FileModifiedAt: metadata.modifiedAt,
+      ThumbnailURL: metadata.thumbnailUrl
+    });
+  }
+  return { fields: fields, title: metadata ? metadata.title : '' };
+}
+
+/**
+ * Client lookup used by the document form to pre-fill the name and show the detected type.
+ * The script can read files the caller can't, so Drive details are only returned for files
+ * the caller could open themselves.
+ */
+function getDocumentMetadata(url, provider) {
+  try {
+    const user = getCurrentUser();
+    if (!user.isSignedIn) {
+      return JSON.stringify({ success: false, error: 'User not authenticated' });
+    }
+    if (!isAuthorized(user, 'document:create')) return forbiddenResponse('document:create');
+    if (!provider || typeof provider.lookup !== 'function') provider = createMetadataProvider();
+    const result = getDocumentMetadataFields(url, provider, user.email);
+    return JSON.stringify({ success: true, title: result.title, metadata: result.fields });
+  } catch (error) {
+    console.error('Error fetching document metadata:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+// =====================================
+// LINK HEALTH
+// =====================================
+
+const LINK_STATUS = { ok: 'OK', broken: 'Broken', restricted: 'Restricted', unknown: 'Unknown' };
+
+/**
+ * Build a link checker. Services are injectable so tests can pass fakes:
+ *   createLinkChecker({ getDriveFile: id => fakeFile, fetch: (url, params) => fakeResponse })
+ * @returns {{check: function(string): {status: string, detail: string}}}
+ */
+function createLinkChecker(services = {}) {
+  const getDriveFile = services.getDriveFile || getDriveItem;
+  const fetch = services.fetch || ((url, params) => UrlFetchApp.fetch(url, params));
+
+  const checkDriveFile = fileId => {
+    let file;
+    try {
+      file = getDriveFile(fileId);
+    } catch (error) {
+      return { status: LINK_STATUS.broken, detail: 'File not found or no access' };
+    }
+    if (file.isTrashed()) return { status: LINK_STATUS.broken, detail: 'File is in the Drive trash' };
+    const access = String(file.getSharingAccess());
+    if (access === 'PRIVATE') return { status: LINK_STATUS.restricted, detail: 'Only specific people can open this file' };
+    return { status: LINK_STATUS.ok, detail: `Shared with ${access.toLowerCase().replace(/_/g, ' ')}` };
+  };
+
+  const checkUrl = url => {
+    try {
+      const code = fetch(url, { muteHttpExceptions: true, followRedirects: true }).getResponseCode();
+      if (code < 400) return { status: LINK_STATUS.ok, detail: `HTTP ${code}` };
+      if (code === 401 || code === 403) return { status: LINK_STATUS.restricted, detail: `HTTP ${code}` };
+      return { status: LINK_STATUS.broken, detail: `HTTP ${code}` };
+    } catch (error) {
+      return { status: LINK_STATUS.broken, detail: String(error.message || error) };
+    }
+  };
+
+  return {
+    check: url => {
+      if (!url) return { status: LINK_STATUS.broken, detail: 'No URL' };
+      const fileId = extractDriveFileId(url);
+      return fileId ? checkDriveFile(fileId) : checkUrl(url);
+    }
+  };
+}
+
+/**
+ * Time-driven trigger handler. Checks the documents checked least recently, in batches,
+ * so a large catalog is covered over several runs without hitting execution limits.
+ * @param {Object} [checker] - from createLinkChecker; defaults to the real Drive/UrlFetch services
+ */
+function runLinkHealthCheck(checker) {
+  try {
+    // Trigger handlers receive an event object as their first argument
+    if (!checker || typeof checker.check !== 'function') checker = createLinkChecker();
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName('Documents');
+    if (!sheet || sheet.getLastRow() <= 1) return JSON.stringify({ success: true, checked: 0 });
+
+    const data = sheet.getDataRange().getValues();
+    const headers = data[0];
+    const col = name => headers.indexOf(name);
+    const candidates = [];
+    for (let i = 1; i < data.length; i++) {
+      if (data[i][col('Status')] === 'Trashed') continue;
+      candidates.push({ rowIndex: i, lastChecked: data[i][col('LinkCheckedAt')] ? new Date(data[i][col('LinkCheckedAt')]).getTime() : 0 });
+    }
+    candidates.sort((a, b) => a.lastChecked - b.lastChecked);
+
+    const batch = candidates.slice(0, CONFIG.linkCheckBatchSize);
+    const summary = { checked: 0, broken: 0, restricted: 0 };
+    batch.forEach(({ rowIndex }) => {
+      const row = data[rowIndex];
+      const url = row[col('GoogleDriveURL')];
+      const result = checker.check(url);
+      const previous = row[col('LinkStatus')];
+      if (!recordLinkHealth(sheet, row[0], url, result)) return;
+      if (result.status === LINK_STATUS.broken) summary.broken++;
+      if (result.status === LINK_STATUS.restricted) summary.restricted++;
+      if (result.status !== previous && result.status !== LINK_STATUS.ok) {
+        logActivity(SYSTEM_USER, 'Link Needs Attention', row[0], `${result.status}: ${result.detail}`);
+      }
+      summary.checked++;
+    });
+    return JSON.stringify(Object.assign({ success: true }, summary));
+  } catch (error) {
+    console.error('Error running link health check:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Re-check one document's link on demand.
+ */
+function checkDocumentLink(docId, checker) {
+  try {
+    const user = getCurrentUser();
+    if (!user.isSignedIn) {
+      return JSON.stringify({ success: false, error: 'User not authenticated' });
+    }
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName('Documents');
+    if (!sheet) {
+      return JSON.stringify({ success: false, error: 'Database not initialized' });
+    }
+    const data = sheet.getDataRange().getValues();
+    const headers = data[0];
+    const rowIndex = data.findIndex(row => row[0] === docId);
+    if (rowIndex === -1) {
+      return JSON.stringify({ success: false, error: 'Document not found' });
+    }
+    const url = data[rowIndex][headers.indexOf('GoogleDriveURL')];
+    const result = (checker || createLinkChecker()).check(url);
+    const checkedAt = recordLinkHealth(sheet, docId, url, result);
+    if (!checkedAt) {
+      return JSON.stringify({ success: false, error: 'Document changed while its link was being checked' });
+    }
+    return JSON.stringify({ success: true, LinkStatus: result.status, LinkDetail: result.detail, LinkCheckedAt: checkedAt });
+  } catch (error) {
+    console.error('Error checking document link:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Install the hourly link health trigger. Run once from the script editor.
+ */
+function installLinkHealthTrigger() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === 'runLinkHealthCheck')
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  ScriptApp.newTrigger('runLinkHealthCheck').timeBased().everyHours(1).create();
+  return JSON.stringify({ success: true, message: 'Link health trigger installed' });
+}
+
+/**
+ * Store a link check result. Checks are slow, so the row is looked up again under the lock;
+ * nothing is written if the document was deleted or its URL changed in the meantime.
+ * @returns {Date|null} the check time, or null when the result was discarded
+ */
+function recordLinkHealth(sheet, docId, url, result) {
+  return withScriptLock(() => {
+    const data = sheet.getDataRange().getValues();
+    const headers = data[0];
+    const rowIndex = data.findIndex((row, i) => i > 0 && row[0] === docId);
+    if (rowIndex === -1 || data[rowIndex][headers.indexOf('GoogleDriveURL')] !== url) return null;
+    // LinkStatus, LinkCheckedAt and LinkDetail are adjacent columns (see SCHEMA.Documents)
+    const checkedAt = new Date();
+    sheet.getRange(rowIndex + 1, headers.indexOf('LinkStatus') + 1, 1, 3).setValues([[result.status, checkedAt, result.detail]]);
+    sheet.getRange(rowIndex + 1, headers.indexOf('ChangedAt') + 1).setValue(checkedAt);
+    invalidateSheetCache('Documents');
+    return checkedAt;
+  });
+}
+
+/**
+ * Documents whose last link check found a problem.
+ */
+function needsAttention(doc) {
+  return doc.LinkStatus === LINK_STATUS.broken || doc.LinkStatus === LINK_STATUS.restricted;
+}
+
+// =====================================
+// REVIEW DATES & EXPIRY
+// =====================================
+
+const REVIEW_DATE_FIELDS = ['ReviewBy', 'ExpiresOn'];
+
+/**
+ * 'overdue' once ReviewBy has passed, 'due' within CONFIG.reviewReminderDays of it, otherwise null.
+ */
+function getReviewState(doc, now = new Date()) {
+  if (!doc.ReviewBy || doc.Status === 'Trashed') return null;
+  const reviewBy = new Date(doc.ReviewBy);
+  if (isNaN(reviewBy)) return null;
+  if (reviewBy <= now) return 'overdue';
+  return reviewBy - now <= CONFIG.reviewReminderDays * 24 * 60 * 60 * 1000 ? 'due' : null;
+}
+
+function isExpired(doc, now = new Date()) {
+  return !!doc.ExpiresOn && new Date(doc.ExpiresOn) <= now;
+}
+
+/**
+ * Name of the first ReviewBy/ExpiresOn value that is set but not a date, or null.
+ */
+function findInvalidDateField(data) {
+  return REVIEW_DATE_FIELDS.find(field => data[field] && isNaN(parseReviewDate(data[field]))) || null;
+}
+
+/**
+ * A ReviewBy/ExpiresOn value as a Date, or '' when unset. Date-only strings from the date
+ * inputs are read as midnight in the script time zone; new Date('yyyy-MM-dd') would be UTC.
+ */
+function parseReviewDate(value) {
+  if (!value) return '';
+  if (value instanceof Date) return value;
+  const text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return Utilities.parseDate(text, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  return new Date(text);
+}
+
+/**
+ * Whether two ReviewBy/ExpiresOn values fall on the same day in the script time zone.
+ */
+function isSameReviewDate(a, b) {
+  const day = value => {
+    const date = parseReviewDate(value);
+    return date && !isNaN(date) ? Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd') : String(value || '');
+  };
+  return day(a) === day(b);
+}
+
+/**
+ * Daily trigger handler. Archives expired documents and emails each owner a digest of
+ * what was archived and what is overdue or coming up for review.
+ * @param {Object} [mailer] - from createMailer; defaults to MailApp
+ */
+function runReviewReminders(mailer) {
+  try {
+    // Trigger handlers receive an event object as their first argument
+    if (!mailer || typeof mailer.send !== 'function') mailer = createMailer();
+    const now = new Date();
+    const digests = {};
+    const addToDigest = (doc, section) => {
+      const owner = String(doc.SharedBy || '').toLowerCase();
+      if (!owner.includes('@')) return;
+      digests[owner] = digests[owner] || { expired: [], overdue: [], due: [] };
+      digests[owner][section].push(doc);
+    };
+
+    let archived = 0;
+    (getDocuments({ status: ['Active'] }).documents || []).forEach(doc => {
+      if (isExpired(doc, now)) {
+        const result = JSON.parse(runAsUser(SYSTEM_USER, () => archiveDocument(doc.DocID)));
+        if (result.success) {
+          archived++;
+          addToDigest(doc, 'expired');
+        }
+        return;
+      }
+      const reviewState = getReviewState(doc, now);
+      if (reviewState) addToDigest(doc, reviewState);
+    });
+
+    Object.keys(digests).forEach(owner => {
+      try {
+        mailer.send(owner, `${CONFIG.appName}: documents that need your review`, buildReviewDigestHtml(digests[owner]));
+      } catch (error) {
+        console.error(`Error sending review digest to ${owner}:`, error);
+      }
+    });
+    return JSON.stringify({ success: true, archived: archived, notified: Object.keys(digests).length });
+  } catch (error) {
+    console.error('Error running review reminders:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+function buildReviewDigestHtml(digest) {
+  const formatDate = value => Utilities.formatDate(new Date(value), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  const section = (title, docs, dateField) => docs.length === 0 ? '' : `
+    <h3>${title}</h3>
+    <ul>${docs.map(doc => `<li><a href="${escapeHtml(doc.GoogleDriveURL)}">${escapeHtml(doc.DocumentName)}</a>
+      (${escapeHtml(doc.Category)}) · ${dateField === 'ExpiresOn' ? 'expired' : 'review by'} ${formatDate(doc[dateField])}</li>`).join('')}</ul>`;
+  return `<p>These documents you shared in ${escapeHtml(CONFIG.appName)} need attention.</p>
+    ${section('Archived because they expired', digest.expired, 'ExpiresOn')}
+    ${section('Overdue for review', digest.overdue, 'ReviewBy')}
+    ${section(`Due for review in the next ${CONFIG.reviewReminderDays} days`, digest.due, 'ReviewBy')}
+    <p>Update the review date after checking a document to stop these reminders.</p>`;
+}
+
+/**
+ * Install the daily review reminder trigger. Run once from the script editor.
+ */
+function installReviewReminderTrigger() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === 'runReviewReminders')
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  ScriptApp.newTrigger('runReviewReminders').timeBased().everyDays(1).atHour(7).create();
+  return JSON.stringify({ success: true, message: 'Review reminder trigger installed' });
+}
+
+// =====================================
+// DUPLICATE DETECTION
+// =====================================
+
+/**
+ * Query parameters that never change which file a link points to.
+ */
+const URL_NOISE_PARAMS = ['usp', 'ouid', 'rtpof', 'sd', 'pli', 'authuser', 'resourcekey', 'fbclid', 'gclid', 'mc_cid', 'mc_eid', 'ref'];
+
+/**
+ * Identity key for a link: `drive:<fileId>` for Google Drive/Docs links, otherwise the URL with
+ * scheme, www, fragment, trailing slash and tracking parameters removed and the rest sorted.
+ */
+function canonicalizeUrl(url) {
+  const text = String(url || '').trim();
+  if (!text) return '';
+  const fileId = extractDriveFileId(text);
+  if (fileId) return `drive:${fileId}`;
+
+  const match = text.match(/^(?:[a-z]+:\/\/)?([^/?#]+)([^?#]*)(?:\?([^#]*))?/i);
+  if (!match) return text.toLowerCase();
+  const host = match[1].toLowerCase().replace(/^www\./, '');
+  const path = match[2].replace(/\/+$/, '');
+  const params = (match[3] || '').split('&')
+    .filter(pair => {
+      const key = pair.split('=')[0].toLowerCase();
+      return key && !key.startsWith('utm_') && !URL_NOISE_PARAMS.includes(key);
+    })
+    .sort();
+  return `url:${host}${path}${params.length ? '?' + params.join('&') : ''}`;
+}
+
+/**
+ * Admin report of documents that point at the same file, grouped by canonical URL.
+ */
+function getDuplicateReport() {
+  try {
+    const user = getCurrentUser();
+    if (!isAuthorized(user, 'document:delete')) return forbiddenResponse('document:delete');
+    const documents = getDocuments({ includeTrashed: false }).documents || [];
+    const favoriteCounts = getFavoriteCounts();
+    const viewStats = getAnalyticsData().analytics.documentStats || {};
+
+    const groups = {};
+    documents.forEach(doc => {
+      const key = canonicalizeUrl(doc.GoogleDriveURL);
+      if (key) (groups[key] = groups[key] || []).push(doc);
+    });
+    const duplicates = Object.keys(groups).filter(key => groups[key].length > 1).map(key => ({
+      canonicalUrl: key,
+      documents: groups[key].map(doc => ({
+        DocID: doc.DocID, DocumentName: doc.DocumentName, GoogleDriveURL: doc.GoogleDriveURL, Category: doc.Category,
+        SharedBy: doc.SharedBy, Status: doc.Status, DateAdded: doc.DateAdded,
+        Favorites: favoriteCounts[doc.DocID] || 0, Views: (viewStats[doc.DocID] || {}).views || 0
+      }))
+    }));
+    return JSON.stringify({ success: true, groups: duplicates });
+  } catch (error) {
+    console.error('Error building duplicate report:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Fold duplicate documents into the one being kept: favorites and views move over,
+ * tags are combined, and the duplicates are then removed permanently.
+ */
+function mergeDuplicateDocuments(keepDocId, duplicateDocIds) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!isAuthorized(user, 'document:delete')) return forbiddenResponse('document:delete');
+      const duplicates = (duplicateDocIds || []).filter(id => id && id !== keepDocId);
+      if (duplicates.length === 0) {
+        return JSON.stringify({ success: false, error: 'No duplicates selected' });
+      }
+
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const sheet = ss.getSheetByName('Documents');
+      if (!sheet) {
+        return JSON.stringify({ success: false, error: 'Database not initialized' });
+      }
+      const data = sheet.getDataRange().getValues();
+      const headers = data[0];
+      const keepIndex = data.findIndex(row => row[0] === keepDocId);
+      const duplicateRows = data.filter(row => duplicates.includes(row[0]));
+      if (keepIndex === -1 || duplicateRows.length !== duplicates.length) {
+        return JSON.stringify({ success: false, error: 'Document not found' });
+      }
+      const keepKey = canonicalizeUrl(data[keepIndex][headers.indexOf('GoogleDriveURL')]);
+      if (duplicateRows.some(row => canonicalizeUrl(row[headers.indexOf('GoogleDriveURL')]) !== keepKey)) {
+        return JSON.stringify({ success: false, error: 'Only documents pointing at the same file can be merged' });
+      }
+
+      const tagsCol = headers.indexOf('Tags');
+      const mergedTags = normalizeTags([data[keepIndex][tagsCol]].concat(duplicateRows.map(row => row[tagsCol])).join(',')).join(', ');
+      if (mergedTags !== data[keepIndex][tagsCol]) {
+        updateDocument(keepDocId, { Tags: mergedTags });
+      }
+      reassignDocumentReferences(duplicates, keepDocId);
+      retargetSubscriptions('document', duplicates, keepDocId);
+
+      // Remove the duplicate rows bottom-up so row numbers stay valid
+      for (let i = data.length - 1; i >= 1; i--) {
+        if (duplicates.includes(data[i][0])) sheet.deleteRow(i + 1);
+      }
+      invalidateSheetCache('Documents');
+      recomputeCategoryCounts();
+      recomputeTagCounts();
+      logActivity(user, 'Merged Duplicates', keepDocId, `Merged ${duplicates.length} duplicate(s) into "${data[keepIndex][1]}"`);
+      return JSON.stringify({ success: true, merged: duplicates.length, message: 'Duplicates merged successfully' });
+    });
+  } catch (error) {
+    console.error('Error merging duplicates:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Point collection items (favorites included) and analytics rows at another document.
+ * A collection that held several of the documents keeps a single item.
+ */
+function reassignDocumentReferences(fromDocIds, toDocId) {
+  return withScriptLock(() => {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+    const items = ss.getSheetByName('CollectionItems');
+    if (items && items.getLastRow() > 1) {
+      const data = items.getDataRange().getValues();
+      const hasItem = {};
+      data.slice(1).forEach(row => { if (row[2] === toDocId) hasItem[row[1]] = true; });
+      for (let i = data.length - 1; i >= 1; i--) {
+        if (!fromDocIds.includes(data[i][2])) continue;
+        if (hasItem[data[i][1]]) {
+          items.deleteRow(i + 1);
+        } else {
+          items.getRange(i + 1, 3).setValue(toDocId);
+          hasItem[data[i][1]] = true;
+        }
+      }
+      invalidateSheetCache('CollectionItems');
+    }
+
+    const analytics = ss.getSheetByName('Analytics');
+    if (analytics && analytics.getLastRow() > 1) {
+      const range = analytics.getRange(2, 2, analytics.getLastRow() - 1, 1);
+      const values = range.getValues();
+      if (values.some(row => fromDocIds.includes(row[0]))) {
+        range.setValues(values.map(row => [fromDocIds.includes(row[0]) ? toDocId : row[0]]));
+        invalidateSheetCache('Analytics');
+      }
+    }
+  });
+}
+
+// =====================================
+// BULK OPERATIONS
+// =====================================
+
+const BULK_OPERATIONS = ['move', 'addTags', 'removeTags', 'status', 'delete', 'favorite'];
+const BULK_STATUSES = ['Active', 'Archived'];
+const BULK_VERBS = { move: 'moved', addTags: 'tagged', removeTags: 'untagged', delete: 'moved to trash' };
+const BULK_UNDO_PREFIX = 'bulkUndo:';
+
+function bulkArchiveDocuments(docIds) {
+  return bulkUpdateDocuments(docIds, { type: 'status', status: 'Archived' });
+}
+
+function bulkRestoreDocuments(docIds) {
+  return bulkUpdateDocuments(docIds, { type: 'status', status: 'Active' });
+}
+
+/**
+ * Apply one operation to many documents with a single read and a single write of the
+ * Documents sheet. Each document succeeds or fails on its own and the result lists both;
+ * undoId can be passed to undoBulkUpdate for CONFIG.bulkUndoMinutes.
+ * @param {string[]} docIds
+ * @param {Object} operation - { type: one of BULK_OPERATIONS, category (move), tags (addTags, removeTags),
+ *   status (status; one of BULK_STATUSES), favorited (favorite) }
+ * @returns {string} JSON { success, results: [{ docId, success, error }], documents, summary, undoId }
+ */
+function bulkUpdateDocuments(docIds, operation) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!user.isSignedIn) {
+        return JSON.stringify({ success: false, error: 'User not authenticated' });
+      }
+      const invalid = validateBulkOperation(operation);
+      if (invalid) {
+        return JSON.stringify({ success: false, error: invalid });
+      }
+      const ids = (Array.isArray(docIds) ? docIds : []).filter((id, i, all) => id && all.indexOf(id) === i);
+      if (ids.length === 0) {
+        return JSON.stringify({ success: false, error: 'Select at least one document' });
+      }
+      if (operation.type === 'favorite') {
+        const outcome = bulkFavorite(user, ids, operation.favorited === true);
+        const undoId = outcome.changed.length > 0
+          ? saveBulkUndo(user, { type: 'favorite', favorited: operation.favorited === true, docIds: outcome.changed })
+          : null;
+        return JSON.stringify(bulkResponse(outcome.results, [], operation.favorited === true ? 'added to favorites' : 'removed from favorites', undoId));
+      }
+
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Documents');
+      if (!sheet) {
+        return JSON.stringify({ success: false, error: 'Database not initialized' });
+      }
+      const data = sheet.getDataRange().getValues();
+      const headers = data[0];
+      const rowIndexes = {};
+      data.forEach((row, i) => { if (i > 0) rowIndexes[row[0]] = i; });
+      const now = new Date();
+      const outcome = applyDocumentChanges(user, data, ids.map(docId => {
+        if (rowIndexes[docId] === undefined) return { docId: docId, error: 'Document not found' };
+        const doc = toRecord(headers, data[rowIndexes[docId]]);
+        return Object.assign({ docId: docId, rowIndex: rowIndexes[docId] }, planBulkChange(user, operation, doc, now));
+      }), now);
+      writeDocumentChanges(sheet, data, outcome);
+      if (operation.type === 'addTags') ensureTags(normalizeTags(operation.tags), user);
+      if (outcome.changed.length > 0) {
+        if (operation.type !== 'status') recomputeCategoryCounts();
+        if (operation.type !== 'move' && operation.type !== 'status') recomputeTagCounts();
+      }
+
+      const undoId = outcome.changed.length > 0
+        ? saveBulkUndo(user, { type: operation.type, documents: outcome.changed.map(change => ({
+          DocID: change.docId, Revision: change.revision, before: change.before
+        })) })
+        : null;
+      const verb = operation.type === 'status' ? (operation.status === 'Archived' ? 'archived' : 'restored') : BULK_VERBS[operation.type];
+      return JSON.stringify(bulkResponse(outcome.results, outcome.documents, verb, undoId));
+    });
+  } catch (error) {
+    console.error('Error in bulk update:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+function validateBulkOperation(operation) {
+  if (!operation || !BULK_OPERATIONS.includes(operation.type)) return 'Unknown bulk operation';
+  if (operation.type === 'move') {
+    const exists = (getCategories().categories || []).some(category => category.CategoryName === operation.category);
+    if (!exists) return 'Choose a category to move the documents to';
+  }
+  if ((operation.type === 'addTags' || operation.type === 'removeTags') && normalizeTags(operation.tags).length === 0) {
+    return 'Enter at least one tag';
+  }
+  if (operation.type === 'status' && !BULK_STATUSES.includes(operation.status)) return 'Invalid status';
+  return null;
+}
+
+/**
+ * The column values one bulk operation would give a document, or why it can't be applied.
+ * @returns {{updates: Object, action: string, details: string}|{error: string}}
+ */
+function planBulkChange(user, operation, doc, now) {
+  const permission = operation.type === 'delete' ? 'document:delete' : 'document:update';
+  if (!isAuthorized(user, permission, doc.SharedBy)) return { error: `Forbidden: you do not have permission to perform ${permission}` };
+  if (doc.Status === 'Trashed') return { error: 'Document is in the trash' };
+
+  switch (operation.type) {
+    case 'move':
+      return { updates: { Category: operation.category }, action: 'Updated Document', details: `Category updated (moved to ${operation.category})` };
+    case 'addTags':
+      return {
+        updates: { Tags: normalizeTags(normalizeTags(doc.Tags).concat(normalizeTags(operation.tags))).join(', ') },
+        action: 'Updated Document', details: 'Tags updated'
+      };
+    case 'removeTags': {
+      const removed = normalizeTags(operation.tags);
+      return {
+        updates: { Tags: normalizeTags(doc.Tags).filter(tag => !removed.some(r => sameTag(r, tag))).join(', ') },
+        action: 'Updated Document', details: 'Tags updated'
+      };
+    }
+    case 'status':
+      if (doc.Status === PENDING_REVIEW) return { error: 'This document is waiting for review' };
+      if (doc.Status === 'Rejected') return { error: 'This document was rejected - resubmit it for review to publish it' };
+      return {
+        updates: { Status: operation.status },
+        action: operation.status === 'Archived' ? 'Archived Document' : 'Restored Document', details: 'Bulk operation'
+      };
+    case 'delete':
+      return {
+        updates: { Status: 'Trashed', PreviousStatus: doc.Status, TrashedAt: now, TrashedBy: user.email },
+        action: 'Trashed Document', details: `Moved "${doc.DocumentName}" to trash`
+      };
+  }
+  return { error: 'Unknown bulk operation' };
+}
+
+/**
+ * Apply planned changes to the rows in data (in memory only). Documents whose values don't
+ * change count as successes without a new revision.
+ * @param {Array<{docId, rowIndex, updates, action, details, error}>} plans
+ * @returns {{results: Object[], changed: Object[], documents: Object[], revisions: Array[], activity: Object[], pending: Object[]}}
+ */
+function applyDocumentChanges(user, data, plans, now) {
+  const headers = data[0];
+  const col = name => headers.indexOf(name);
+  const outcome = { results: [], changed: [], documents: [], revisions: [], activity: [], pending: [] };
+  plans.forEach(plan => {
+    if (plan.error) {
+      outcome.results.push({ docId: plan.docId, success: false, error: plan.error });
+      return;
+    }
+    const row = data[plan.rowIndex];
+    const fieldChanges = Object.keys(plan.updates)
+      .filter(field => col(field) > -1 && String(row[col(field)]) !== String(plan.updates[field]))
+      .map(field => ({ field: field, oldValue: row[col(field)], newValue: plan.updates[field] }));
+    if (fieldChanges.length === 0) {
+      outcome.results.push({ docId: plan.docId, success: true, unchanged: true });
+      return;
+    }
+    const updates = Object.assign({}, plan.updates);
+    const approval = plan.checkApproval === false ? null : getApprovalSubmission(user, headers, row, fieldChanges, now);
+    if (approval) Object.assign(updates, approval);
+    const before = {};
+    Object.keys(updates).concat(['LastModified', 'ChangedAt']).forEach(field => { before[field] = row[col(field)]; });
+
+    Object.keys(updates).forEach(field => { row[col(field)] = updates[field]; });
+    const revision = (Number(row[col('Revision')]) || 0) + 1;
+    row[col('Revision')] = revision;
+    row[col('ChangedAt')] = now;
+    if (plan.updates.Status !== 'Trashed') row[col('LastModified')] = now;
+
+    // Moving in and out of the trash isn't a revision, as with trashDocument and restoreFromTrash
+    if (!fieldChanges.some(change => change.field === 'Status' && [change.oldValue, change.newValue].includes('Trashed'))) {
+      outcome.revisions.push(...buildRevisionRows(user, plan.docId, fieldChanges, now));
+    }
+    outcome.activity.push({ action: plan.action, docId: plan.docId, details: plan.details });
+    if (approval) {
+      outcome.activity.push({ action: 'Submitted For Review', docId: plan.docId, details: `Submitted changes to "${row[1]}" for approval` });
+      outcome.pending.push(toRecord(headers, row));
+    }
+    outcome.changed.push({ docId: plan.docId, rowIndex: plan.rowIndex, revision: revision, before: before });
+    outcome.documents.push(toRecord(headers, row));
+    outcome.results.push({ docId: plan.docId, success: true });
+  });
+  return outcome;
+}
+
+/**
+ * Write the rows changed by applyDocumentChanges, one call per run of adjacent rows so untouched
+ * rows in between are never rewritten, then their revisions and activity.
+ */
+function writeDocumentChanges(sheet, data, outcome) {
+  if (outcome.changed.length === 0) return;
+  const rowIndexes = Array.from(new Set(outcome.changed.map(change => change.rowIndex))).sort((a, b) => a - b);
+  let start = 0;
+  rowIndexes.forEach((rowIndex, i) => {
+    if (i + 1 < rowIndexes.length && rowIndexes[i + 1] === rowIndex + 1) return;
+    const first = rowIndexes[start];
+    sheet.getRange(first + 1, 1, rowIndex - first + 1, data[0].length).setValues(data.slice(first, rowIndex + 1));
+    start = i + 1;
+  });
+  invalidateSheetCache('Documents');
+
+  const user = getCurrentUser();
+  const revisions = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('DocumentRevisions');
+  if (revisions && outcome.revisions.length > 0) {
+    revisions.getRange(revisions.getLastRow() + 1, 1, outcome.revisions.length, outcome.revisions[0].length).setValues(outcome.revisions);
+  }
+  logActivities(user, outcome.activity);
+  if (outcome.pending.length > 0) notifyApprovers(outcome.pending, user);
+}
+
+/**
+ * Add documents to, or remove them from, the user's favorites (their default collection).
+ * @returns {{results: Object[], changed: string[]}} changed lists the DocIDs actually added or removed
+ */
+function bulkFavorite(user, docIds, favorited) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('CollectionItems');
+  const documents = getRepository('Documents');
+  const collection = getDefaultCollection(user.email) || createDefaultCollection(user.email);
+  const data = sheet.getDataRange().getValues();
+  const results = [];
+  const changed = [];
+  const newRows = [];
+  const rowsToDelete = [];
+  let position = getCollectionItems(collection.CollectionID).reduce((max, item) => Math.max(max, Number(item.Position) || 0), 0);
+
+  docIds.forEach(docId => {
+    const doc = documents.findById(docId);
+    if (!doc || doc.Status === 'Trashed' || (favorited && !canSeeDocument(user, doc))) {
+      results.push({ docId: docId, success: false, error: 'Document not found' });
+      return;
+    }
+    const rowIndex = data.findIndex((row, i) => i > 0 && row[1] === collection.CollectionID && row[2] === docId);
+    if (favorited === (rowIndex > 0)) {
+      results.push({ docId: docId, success: true, unchanged: true });
+      return;
+    }
+    if (favorited) {
+      newRows.push([generateId('ITEM'), collection.CollectionID, docId, ++position, '', user.email, new Date()]);
+    } else {
+      rowsToDelete.push(rowIndex + 1);
+    }
+    changed.push(docId);
+    results.push({ docId: docId, success: true });
+  });
+
+  if (newRows.length > 0) sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, newRows[0].length).setValues(newRows);
+  // Bottom-up so earlier deletions don't shift the rows still to delete
+  rowsToDelete.sort((a, b) => b - a).forEach(rowNumber => sheet.deleteRow(rowNumber));
+  if (changed.length > 0) {
+    invalidateSheetCache('CollectionItems');
+    touchCollection(collection.CollectionID);
+    logActivities(user, changed.map(docId => ({
+      action: favorited ? 'Added Favorite' : 'Removed Favorite', docId: docId, details: favorited ? 'Added to favorites' : 'Removed from favorites'
+    })));
+  }
+  return { results: results, changed: changed };
+}
+
+function bulkResponse(results, documents, verb, undoId) {
+  const succeeded = results.filter(result => result.success).length;
+  return {
+    success: true,
+    results: results,
+    documents: documents,
+    succeeded: succeeded,
+    failed: results.length - succeeded,
+    undoId: undoId,
+    summary: `${succeeded} of ${results.length} documents ${verb}.`
+  };
+}
+
+/**
+ * Keep what's needed to undo a bulk action. Each user can undo only their latest one.
+ * @returns {?string} undoId, or null if the action was too large to keep
+ */
+function saveBulkUndo(user, action) {
+  const undoId = generateId('UNDO');
+  const stored = putCachedValue(CacheService.getScriptCache(), BULK_UNDO_PREFIX + user.email,
+    Object.assign({ undoId: undoId }, action), CONFIG.bulkUndoMinutes * 60);
+  return stored ? undoId : null;
+}
+
+/**
+ * Reverse the user's last bulk action. Documents changed by anyone since then are left
+ * alone and reported as failures.
+ * @param {string} undoId - from the bulkUpdateDocuments result
+ */
+function undoBulkUpdate(undoId) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!user.isSignedIn) {
+        return JSON.stringify({ success: false, error: 'User not authenticated' });
+      }
+      const cache = CacheService.getScriptCache();
+      const action = getCachedValue(cache, BULK_UNDO_PREFIX + user.email);
+      if (!action || action.undoId !== undoId) {
+        return JSON.stringify({ success: false, error: 'That bulk action can no longer be undone' });
+      }
+      cache.remove(BULK_UNDO_PREFIX + user.email);
+      if (action.type === 'favorite') {
+        return JSON.stringify(bulkResponse(bulkFavorite(user, action.docIds, !action.favorited).results, [], 'restored', null));
+      }
+
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Documents');
+      if (!sheet) {
+        return JSON.stringify({ success: false, error: 'Database not initialized' });
+      }
+      const data = sheet.getDataRange().getValues();
+      const headers = data[0];
+      const revisionCol = headers.indexOf('Revision');
+      const now = new Date();
+      const outcome = applyDocumentChanges(user, data, action.documents.map(entry => {
+        const rowIndex = data.findIndex((row, i) => i > 0 && row[0] === entry.DocID);
+        if (rowIndex === -1) return { docId: entry.DocID, error: 'Document not found' };
+        if (Number(data[rowIndex][revisionCol]) !== entry.Revision) {
+          return { docId: entry.DocID, error: 'Changed since the bulk action, so it was left as it is' };
+        }
+        const updates = Object.assign({}, entry.before);
+        delete updates.LastModified;
+        delete updates.ChangedAt;
+        return { docId: entry.DocID, rowIndex: rowIndex, updates: updates, checkApproval: false, action: 'Reverted Document', details: 'Undid bulk operation' };
+      }), now);
+      writeDocumentChanges(sheet, data, outcome);
+      recomputeCategoryCounts();
+      recomputeTagCounts();
+      return JSON.stringify(bulkResponse(outcome.results, outcome.documents, 'restored', null));
+    });
+  } catch (error) {
+    console.error('Error undoing bulk update:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+// =====================================
+// CATEGORIES & TAGS
+// =====================================
+
+/**
+ * @param {Object} options - { includeInactive, recount }
+ */
+function getCategories(options = {}) {
+  try {
+    if (options.recount) recomputeCategoryCounts();
+    const data = getRepository('Categories').getValues();
+    if (data.length <= 1) return { success: true, categories: [] };
+    const categories = data.slice(1).filter(row => options.includeInactive || row[4] === true).map(row => ({
+      CategoryID: row[0], CategoryName: row[1], CreatedBy: row[2], DateCreated: row[3], Active: row[4] === true,
+      DocumentCount: row[5] || 0, ParentID: row[6] || '', Icon: row[7] || '', Color: row[8] || '',
+      RequiresApproval: row[9] === true, Approvers: parseEmailList(row[10]), Visibility: row[11] || 'private',
+      HasAccessToken: !!row[12]
+    }));
+    categories.sort((a, b) => a.CategoryName.localeCompare(b.CategoryName));
+    return { success: true, categories: categories };
+  } catch (error) {
+    console.error('Error getting categories:', error);
+    return { success: false, error: error.toString() };
+  }
+}
+
+/**
+ * Client entry point for getCategories; inactive categories are admin-only.
+ */
+function getCategoryList(options = {}) {
+  const user = getCurrentUser();
+  if (!user.isSignedIn) {
+    return JSON.stringify({ success: false, error: 'User not authenticated' });
+  }
+  if ((options.includeInactive || options.recount) && !isAuthorized(user, 'category:manage')) {
+    return forbiddenResponse('category:manage');
+  }
+  return JSON.stringify(getCategories(options));
+}
+
+/**
+ * @param {string} categoryName
+ * @param {Object} [options] - { parentName, icon, color }
+ */
+function addCategory(categoryName, options = {}) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!user.isSignedIn) {
+        return JSON.stringify({ success: false, error: 'User not authenticated' });
+      }
+      if (!isAuthorized(user, 'category:create')) return forbiddenResponse('category:create');
+    
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const sheet = ss.getSheetByName('Categories');
+      if (!sheet) {
+        return JSON.stringify({ success: false, error: 'Database not initialized' });
+      }
+    
+      // Check if category already exists
+      const data = sheet.getDataRange().getValues();
+      const existingCategory = data.find(row => row[1] === categoryName);
+      if (existingCategory) {
+        return JSON.stringify({ success: false, error: 'Category already exists' });
+      }
+      let parentId = '';
+      if (options.parentName) {
+        const parent = data.find((row, i) => i > 0 && row[1] === options.parentName);
+        if (!parent) {
+          return JSON.stringify({ success: false, error: 'Parent category not found' });
+        }
+        parentId = parent[0];
+      }
+      if (options.color && !isValidColor(options.color)) {
+        return JSON.stringify({ success: false, error: 'Color must be a hex value like #0073ea' });
+      }
+    
+      const categoryId = generateId('CAT');
+      const now = new Date();
+      sheet.appendRow([categoryId, categoryName, user.email, now, true, 0, parentId, options.icon || '', options.color || '']);
+      invalidateSheetCache('Categories');
+    
+      logActivity(user, 'Created Category', categoryId, `Created category "${categoryName}"`);
+    
+      return JSON.stringify({ success: true, categoryId: categoryId, message: 'Category added successfully' });
+    });
+  } catch (error) {
+    console.error('Error adding category:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Rename a category and cascade the new name to every document's Category cell.
+ */
+function renameCategory(oldName, newName) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!isAuthorized(user, 'category:manage')) return forbiddenResponse('category:manage');
+      newName = String(newName || '').trim();
+      if (!newName) {
+        return JSON.stringify({ success: false, error: 'New category name is required' });
+      }
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Categories');
+      if (!sheet) {
+        return JSON.stringify({ success: false, error: 'Database not initialized' });
+      }
+      const data = sheet.getDataRange().getValues();
+      const rowIndex = data.findIndex((row, i) => i > 0 && row[1] === oldName);
+      if (rowIndex === -1) {
+        return JSON.stringify({ success: false, error: 'Category not found' });
+      }
+      if (data.some((row, i) => i > 0 && row[1] === newName)) {
+        return JSON.stringify({ success: false, error: 'A category with that name already exists - merge the categories instead' });
+      }
+
+      sheet.getRange(rowIndex + 1, 2).setValue(newName);
+      invalidateSheetCache('Categories');
+      const updated = rewriteDocumentColumn('Category', value => value === oldName ? newName : value);
+      retargetSubscriptions('category', [oldName], newName);
+      logActivity(user, 'Renamed Category', data[rowIndex][0], `Renamed "${oldName}" to "${newName}" on ${updated} documents`);
+      return JSON.stringify({ success: true, updatedDocuments: updated, message: 'Category renamed successfully' });
+    });
+  } catch (error) {
+    console.error('Error renaming category:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Move every document and child category of the sources into the target, then remove the sources.
+ */
+function mergeCategories(sourceNames, targetName) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!isAuthorized(user, 'category:manage')) return forbiddenResponse('category:manage');
+      const sources = (Array.isArray(sourceNames) ? sourceNames : [sourceNames]).filter(name => name && name !== targetName);
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Categories');
+      if (!sheet) {
+        return JSON.stringify({ success: false, error: 'Database not initialized' });
+      }
+      const data = sheet.getDataRange().getValues();
+      const target = data.find((row, i) => i > 0 && row[1] === targetName);
+      if (!target || sources.length === 0) {
+        return JSON.stringify({ success: false, error: 'Choose at least one category to merge into an existing target category' });
+      }
+      const sourceIds = data.filter((row, i) => i > 0 && sources.includes(row[1])).map(row => row[0]);
+      if (sourceIds.length !== sources.length) {
+        return JSON.stringify({ success: false, error: 'Category not found' });
+      }
+      if (getCategoryAncestors(target[0], data).some(id => sourceIds.includes(id))) {
+        return JSON.stringify({ success: false, error: 'Cannot merge a category into one of its own subcategories' });
+      }
+
+      const updated = rewriteDocumentColumn('Category', value => sources.includes(value) ? targetName : value);
+      for (let i = data.length - 1; i >= 1; i--) {
+        if (sourceIds.includes(data[i][0])) {
+          sheet.deleteRow(i + 1);
+        } else if (sourceIds.includes(data[i][6])) {
+          sheet.getRange(i + 1, 7).setValue(target[0]);
+        }
+      }
+      invalidateSheetCache('Categories');
+      recomputeCategoryCounts();
+      retargetSubscriptions('category', sources, targetName);
+      logActivity(user, 'Merged Categories', target[0], `Merged ${sources.map(s => `"${s}"`).join(', ')} into "${targetName}"`);
+      return JSON.stringify({ success: true, updatedDocuments: updated, message: 'Categories merged successfully' });
+    });
+  } catch (error) {
+    console.error('Error merging categories:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Hide a category from pickers and filters. Its documents keep their Category value.
+ */
+function deactivateCategory(categoryName) {
+  return setCategoryActive(categoryName, false);
+}
+
+function reactivateCategory(categoryName) {
+  return setCategoryActive(categoryName, true);
+}
+
+function setCategoryActive(categoryName, active) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!isAuthorized(user, 'category:manage')) return forbiddenResponse('category:manage');
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Categories');
+      if (!sheet) {
+        return JSON.stringify({ success: false, error: 'Database not initialized' });
+      }
+      const data = sheet.getDataRange().getValues();
+      const rowIndex = data.findIndex((row, i) => i > 0 && row[1] === categoryName);
+      if (rowIndex === -1) {
+        return JSON.stringify({ success: false, error: 'Category not found' });
+      }
+      sheet.getRange(rowIndex + 1, 5).setValue(active);
+      invalidateSheetCache('Categories');
+      logActivity(user, active ? 'Reactivated Category' : 'Deactivated Category', data[rowIndex][0], `"${categoryName}"`);
+      return JSON.stringify({ success: true, message: active ? 'Category reactivated' : 'Category deactivated' });
+    });
+  } catch (error) {
+    console.error('Error changing category status:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Change a category's parent, icon, color, approval policy or embed visibility.
+ * @param {Object} changes - { parentName ('' for top level), icon, color, requiresApproval, approvers (comma-separated emails),
+ *   visibility (one of CATEGORY_VISIBILITY) }
+ */
+function updateCategory(categoryName, changes = {}) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!isAuthorized(user, 'category:manage')) return forbiddenResponse('category:manage');
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Categories');
+      if (!sheet) {
+        return JSON.stringify({ success: false, error: 'Database not initialized' });
+      }
+      const data = sheet.getDataRange().getValues();
+      const rowIndex = data.findIndex((row, i) => i > 0 && row[1] === categoryName);
+      if (rowIndex === -1) {
+        return JSON.stringify({ success: false, error: 'Category not found' });
+      }
+      const row = data[rowIndex];
+
+      if (changes.parentName !== undefined) {
+        let parentId = '';
+        if (changes.parentName) {
+          const parent = data.find((r, i) => i > 0 && r[1] === changes.parentName);
+          if (!parent) {
+            return JSON.stringify({ success: false, error: 'Parent category not found' });
+          }
+          if (parent[0] === row[0] || getCategoryAncestors(parent[0], data).includes(row[0])) {
+            return JSON.stringify({ success: false, error: 'A category cannot be nested inside itself' });
+          }
+          parentId = parent[0];
+        }
+        row[6] = parentId;
+      }
+      if (changes.icon !== undefined) row[7] = changes.icon;
+      if (changes.color !== undefined) {
+        if (changes.color && !isValidColor(changes.color)) {
+          return JSON.stringify({ success: false, error: 'Color must be a hex value like #0073ea' });
+        }
+        row[8] = changes.color;
+      }
+      if (changes.requiresApproval !== undefined) row[9] = changes.requiresApproval === true;
+      if (changes.approvers !== undefined) {
+        const approvers = parseEmailList(changes.approvers);
+        if (approvers.some(email => !isValidEmail(email))) {
+          return JSON.stringify({ success: false, error: 'Approvers must be email addresses separated by commas' });
+        }
+        row[10] = approvers.join(', ');
+      }
+      if (changes.visibility !== undefined) {
+        if (!CATEGORY_VISIBILITY.includes(changes.visibility)) {
+          return JSON.stringify({ success: false, error: 'Invalid visibility' });
+        }
+        row[11] = changes.visibility;
+      }
+      sheet.getRange(rowIndex + 1, 7, 1, 6).setValues([[row[6], row[7], row[8], row[9] === true, row[10] || '', row[11] || '']]);
+      invalidateSheetCache('Categories');
+      logActivity(user, 'Updated Category', row[0], `Updated "${categoryName}"`);
+      return JSON.stringify({ success: true, message: 'Category updated successfully' });
+    });
+  } catch (error) {
+    console.error('Error updating category:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * IDs of every ancestor of a category, nearest first.
+ */
+function getCategoryAncestors(categoryId, data) {
+  const parentOf = {};
+  data.slice(1).forEach(row => { parentOf[row[0]] = row[6]; });
+  const ancestors = [];
+  let current = parentOf[categoryId];
+  while (current && !ancestors.includes(current)) {
+    ancestors.push(current);
+    current = parentOf[current];
+  }
+  return ancestors;
+}
+
+/**
+ * Expand category names to include all of their subcategories.
+ */
+function expandCategoryNames(names) {
+  const categories = getCategories({ includeInactive: true }).categories || [];
+  const result = names.slice();
+  const queue = categories.filter(c => names.includes(c.CategoryName)).map(c => c.CategoryID);
+  while (queue.length > 0) {
+    const parentId = queue.shift();
+    categories.filter(c => c.ParentID === parentId && !result.includes(c.CategoryName)).forEach(child => {
+      result.push(child.CategoryName);
+      queue.push(child.CategoryID);
+    });
+  }
+  return result;
+}
+
+/**
+ * Rebuild every DocumentCount from the live (non-trashed) documents.
+ */
+function recomputeCategoryCounts() {
+  return withScriptLock(() => {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName('Categories');
+    const docSheet = ss.getSheetByName('Documents');
+    if (!sheet || sheet.getLastRow() <= 1 || !docSheet) return;
+
+    const counts = {};
+    const docData = docSheet.getDataRange().getValues();
+    const categoryCol = docData[0].indexOf('Category');
+    const statusCol = docData[0].indexOf('Status');
+    docData.slice(1).forEach(row => {
+      if (row[statusCol] !== 'Trashed') counts[row[categoryCol]] = (counts[row[categoryCol]] || 0) + 1;
+    });
+
+    const range = sheet.getRange(2, 2, sheet.getLastRow() - 1, 5);
+    range.setValues(range.getValues().map(row => {
+      row[4] = counts[row[0]] || 0;
+      return row;
+    }));
+    invalidateSheetCache('Categories');
+  });
+}
+
+function isValidColor(color) {
+  return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color);
+}
+
+/**
+ * @param {Object} options - { recount: true } recomputes UsageCount from the Documents sheet first
+ */
+function getTags(options = {}) {
+  try {
+    if (options.recount) recomputeTagCounts();
+    const data = getRepository('Tags').getValues();
+    if (data.length <= 1) return { success: true, tags: [] };
+    const tags = data.slice(1).map(row => ({
+      TagID: row[0], TagName: row[1], CreatedBy: row[2], DateCreated: row[3], UsageCount: row[4] || 0
+    }));
+    tags.sort((a, b) => b.UsageCount - a.UsageCount);
+    return { success: true, tags: tags };
+  } catch (error) {
+    console.error('Error getting tags:', error);
+    return { success: false, error: error.toString() };
+  }
+}
+
+/**
+ * Client entry point for getTags, e.g. getTagList({ recount: true }) from the Tags page.
+ */
+function getTagList(options = {}) {
+  const user = getCurrentUser();
+  if (!user.isSignedIn) {
+    return JSON.stringify({ success: false, error: 'User not authenticated' });
+  }
+  if (options.recount && !isAuthorized(user, 'tag:manage')) return forbiddenResponse('tag:manage');
+  return JSON.stringify(getTags(options));
+}
+
+function addTag(tagName) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!user.isSignedIn) {
+        return JSON.stringify({ success: false, error: 'User not authenticated' });
+      }
+      if (!isAuthorized(user, 'tag:create')) return forbiddenResponse('tag:create');
+      const name = normalizeTags(tagName)[0];
+      if (!name) {
+        return JSON.stringify({ success: false, error: 'Tag name is required' });
+      }
+      if (findTagRow(name) > 0) {
+        return JSON.stringify({ success: false, error: 'Tag already exists' });
+      }
+      ensureTags([name], user);
+      logActivity(user, 'Created Tag', '', `Created tag "${name}"`);
+      return JSON.stringify({ success: true, message: 'Tag added successfully' });
+    });
+  } catch (error) {
+    console.error('Error adding tag:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+function renameTag(oldName, newName) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!isAuthorized(user, 'tag:manage')) return forbiddenResponse('tag:manage');
+      newName = normalizeTags(newName)[0];
+      if (!newName) {
+        return JSON.stringify({ success: false, error: 'New tag name is required' });
+      }
+      const rowIndex = findTagRow(oldName);
+      if (rowIndex === -1) {
+        return JSON.stringify({ success: false, error: 'Tag not found' });
+      }
+      const existing = findTagRow(newName);
+      if (existing > 0 && existing !== rowIndex) {
+        return JSON.stringify({ success: false, error: 'A tag with that name already exists - merge the tags instead' });
+      }
+
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Tags');
+      sheet.getRange(rowIndex, 2).setValue(newName);
+      invalidateSheetCache('Tags');
+      const updated = rewriteDocumentTags(tags => tags.map(t => sameTag(t, oldName) ? newName : t));
+      retargetSubscriptions('tag', [oldName], newName);
+      logActivity(user, 'Renamed Tag', '', `Renamed tag "${oldName}" to "${newName}" on ${updated} documents`);
+      return JSON.stringify({ success: true, updatedDocuments: updated, message: 'Tag renamed successfully' });
+    });
+  } catch (error) {
+    console.error('Error renaming tag:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Fold one or more tags into a target tag, rewriting every document's Tags cell.
+ */
+function mergeTags(sourceNames, targetName) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!isAuthorized(user, 'tag:manage')) return forbiddenResponse('tag:manage');
+      targetName = normalizeTags(targetName)[0];
+      const sources = normalizeTags(sourceNames).filter(name => !sameTag(name, targetName));
+      if (!targetName || sources.length === 0) {
+        return JSON.stringify({ success: false, error: 'Choose at least one tag to merge into a different target tag' });
+      }
+
+      ensureTags([targetName], user);
+      const updated = rewriteDocumentTags(tags => tags.map(t => sources.some(source => sameTag(t, source)) ? targetName : t));
+      deleteTagRows(sources);
+      recomputeTagCounts();
+      retargetSubscriptions('tag', sources, targetName);
+      logActivity(user, 'Merged Tags', '', `Merged ${sources.map(s => `"${s}"`).join(', ')} into "${targetName}"`);
+      return JSON.stringify({ success: true, updatedDocuments: updated, message: 'Tags merged successfully' });
+    });
+  } catch (error) {
+    console.error('Error merging tags:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+function deleteTag(tagName) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!isAuthorized(user, 'tag:manage')) return forbiddenResponse('tag:manage');
+      if (findTagRow(tagName) === -1) {
+        return JSON.stringify({ success: false, error: 'Tag not found' });
+      }
+      const updated = rewriteDocumentTags(tags => tags.filter(t => !sameTag(t, tagName)));
+      deleteTagRows([tagName]);
+      retargetSubscriptions('tag', [tagName], null);
+      logActivity(user, 'Deleted Tag', '', `Deleted tag "${tagName}" from ${updated} documents`);
+      return JSON.stringify({ success: true, updatedDocuments: updated, message: 'Tag deleted successfully' });
+    });
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Autocomplete: prefix matches first, then substring matches, most used first.
+ */
+function getTagSuggestions(prefix, limit = 10) {
+  try {
+    const user = getCurrentUser();
+    if (!user.isSignedIn) {
+      return JSON.stringify({ success: false, error: 'User not authenticated' });
+    }
+    const needle = String(prefix || '').trim().toLowerCase();
+    const tags = getTags().tags || [];
+    const rank = tag => {
+      const name = String(tag.TagName).toLowerCase();
+      if (name.startsWith(needle)) return 0;
+      return name.includes(needle) ? 1 : -1;
+    };
+    const suggestions = tags
+      .map(tag => ({ tag: tag, rank: rank(tag) }))
+      .filter(item => item.rank > -1)
+      .sort((a, b) => a.rank - b.rank || b.tag.UsageCount - a.tag.UsageCount)
+      .slice(0, limit)
+      .map(item => ({ TagName: item.tag.TagName, UsageCount: item.tag.UsageCount }));
+    return JSON.stringify({ success: true, suggestions: suggestions });
+  } catch (error) {
+    console.error('Error getting tag suggestions:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Rebuild every UsageCount from the live (non-trashed) documents.
+ */
+function recomputeTagCounts() {
+  return withScriptLock(() => {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName('Tags');
+    const docSheet = ss.getSheetByName('Documents');
+    if (!sheet || sheet.getLastRow() <= 1 || !docSheet) return;
+
+    const counts = {};
+    const docData = docSheet.getDataRange().getValues();
+    const tagsCol = docData[0].indexOf('Tags');
+    const statusCol = docData[0].indexOf('Status');
+    docData.slice(1).forEach(row => {
+      if (row[statusCol] === 'Trashed') return;
+      normalizeTags(row[tagsCol]).forEach(tag => {
+        counts[tag.toLowerCase()] = (counts[tag.toLowerCase()] || 0) + 1;
+      });
+    });
+
+    const range = sheet.getRange(2, 1, sheet.getLastRow() - 1, 5);
+    const rows = range.getValues().map(row => {
+      row[4] = counts[String(row[1]).toLowerCase()] || 0;
+      return row;
+    });
+    range.setValues(rows);
+    invalidateSheetCache('Tags');
+  });
+}
+
+// =====================================
+// FAVORITES
+// =====================================
+
+// Favorites are the items of each user's default collection, created on first use
+
+function getUserFavorites() {
+  try {
+    const user = getCurrentUser();
+    if (!user.isSignedIn) return { success: false, error: 'User not authenticated' };
+    const collection = getDefaultCollection(user.email);
+    const favoriteIds = collection ? getCollectionItems(collection.CollectionID).map(item => item.DocID) : [];
+    return { success: true, favoriteIds: favoriteIds };
+  } catch (error) {
+    console.error('Error getting user favorites:', error);
+    return { success: false, error: error.toString() };
+  }
+}
+
+/**
+ * @param {string} docId
+ * @param {boolean} [favorited] - desired state; replayed offline writes pass it so a repeat is harmless
+ */
+function toggleFavorite(docId, favorited) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!user.isSignedIn) {
+        return JSON.stringify({ success: false, error: 'User not authenticated' });
+      }
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const sheet = ss.getSheetByName('CollectionItems');
+      if (!sheet) {
+        return JSON.stringify({ success: false, error: 'Database not initialized' });
+      }
+    
+      const collection = getDefaultCollection(user.email) || createDefaultCollection(user.email);
+      const data = sheet.getDataRange().getValues();
+      const rowIndex = data.findIndex((row, i) => i > 0 && row[1] === collection.CollectionID && row[2] === docId);
+      if (typeof favorited === 'boolean' && favorited === (rowIndex > 0)) {
+        return JSON.stringify({ success: true, favorited: favorited });
+      }
+      // Unfavoriting is always allowed; favoriting needs a document the user can see
+      if (rowIndex === -1) {
+        const doc = getRepository('Documents').findById(docId);
+        if (!doc || doc.Status === 'Trashed' || !canSeeDocument(user, doc)) {
+          return JSON.stringify({ success: false, error: 'Document not found' });
+        }
+      }
+
+      if (rowIndex > 0) {
+        sheet.deleteRow(rowIndex + 1);
+        invalidateSheetCache('CollectionItems');
+        touchCollection(collection.CollectionID);
+        logActivity(user, 'Removed Favorite', docId, 'Removed from favorites');
+        return JSON.stringify({ success: true, favorited: false });
+      } else {
+        appendCollectionItem(sheet, collection.CollectionID, docId, '', user);
+        logActivity(user, 'Added Favorite', docId, 'Added to favorites');
+        return JSON.stringify({ success: true, favorited: true });
+      }
+    });
+  } catch (error) {
+    console.error('Error toggling favorite:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+// =====================================
+// COLLECTIONS
+// =====================================
+
+const DEFAULT_COLLECTION_NAME = 'Favorites';
+const SHARE_ACCESS = ['view', 'edit'];
+// Higher ranks include everything the lower ones allow
+const COLLECTION_ACCESS_RANK = { view: 1, edit: 2, owner: 3 };
+
+/**
+ * What user may do with a collection: 'owner', 'edit', 'view' or null for no access.
+ * A domain share covers everyone whose address is in that domain; the most generous
+ * matching share wins.
+ */
+function getCollectionAccess(collection, user) {
+  if (!collection || !user || !user.isSignedIn) return null;
+  const email = String(user.email).toLowerCase();
+  if (String(collection.OwnerEmail).toLowerCase() === email) return 'owner';
+  const domain = email.split('@')[1] || '';
+  let access = null;
+  getRepository('CollectionShares').findBy('CollectionID', collection.CollectionID).forEach(share => {
+    const principal = String(share.Principal).toLowerCase();
+    const matches = share.PrincipalType === 'domain' ? principal === domain : principal === email;
+    if (matches && (!access || COLLECTION_ACCESS_RANK[share.Access] > COLLECTION_ACCESS_RANK[access])) access = share.Access;
+  });
+  return access;
+}
+
+/**
+ * Look up a collection the current user needs at least the given access to.
+ * @returns {{collection: Object, access: string}|{response: string}} response is a JSON error to return as-is
+ */
+function requireCollectionAccess(user, collectionId, required) {
+  const collection = getRepository('Collections').findById(collectionId);
+  if (!collection) return { response: JSON.stringify({ success: false, error: 'Collection not found' }) };
+  const access = getCollectionAccess(collection, user);
+  if (!access || COLLECTION_ACCESS_RANK[access] < COLLECTION_ACCESS_RANK[required]) {
+    return { response: JSON.stringify({ success: false, forbidden: true, error: 'Forbidden: you do not have access to this collection' }) };
+  }
+  return { collection: collection, access: access };
+}
+
+function getCollectionItems(collectionId) {
+  return getRepository('CollectionItems').findBy('CollectionID', collectionId)
+    .slice()
+    .sort((a, b) => (Number(a.Position) || 0) - (Number(b.Position) || 0));
+}
+
+function getDefaultCollection(email) {
+  return getRepository('Collections').findBy('OwnerEmail', email).find(collection => collection.IsDefault === true) || null;
+}
+
+/**
+ * Create the user's default collection. Callers hold the script lock and have checked
+ * getDefaultCollection first.
+ */
+function createDefaultCollection(email) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Collections');
+  const now = new Date();
+  const row = [generateId('COL'), DEFAULT_COLLECTION_NAME, '', email, now, now, true];
+  sheet.appendRow(row);
+  invalidateSheetCache('Collections');
+  return toRecord(SCHEMA.Collections, row);
+}
+
+/**
+ * Stable link that opens the collection in the app; see the ?collection= handling in index.html.
+ */
+function getCollectionLink(collectionId) {
+  return `${ScriptApp.getService().getUrl() || ''}?collection=${encodeURIComponent(collectionId)}`;
+}
+
+function toCollectionSummary(collection, access) {
+  return {
+    CollectionID: collection.CollectionID,
+    Name: collection.Name,
+    Description: collection.Description,
+    OwnerEmail: collection.OwnerEmail,
+    LastModified: collection.LastModified,
+    IsDefault: collection.IsDefault === true,
+    Access: access,
+    ItemCount: getRepository('CollectionItems').findBy('CollectionID', collection.CollectionID).length
+  };
+}
+
+/**
+ * Collections the user owns or has been shared, own ones first.
+ */
+function listCollections(user) {
+  const collections = [];
+  getRepository('Collections').getRecords().forEach(collection => {
+    const access = getCollectionAccess(collection, user);
+    if (access) collections.push(toCollectionSummary(collection, access));
+  });
+  return collections.sort((a, b) => (b.Access === 'owner') - (a.Access === 'owner') ||
+    (b.IsDefault - a.IsDefault) || String(a.Name).localeCompare(String(b.Name)));
+}
+
+function getCollections() {
+  try {
+    const user = getCurrentUser();
+    if (!user.isSignedIn) {
+      return JSON.stringify({ success: false, error: 'User not authenticated' });
+    }
+    return JSON.stringify({ success: true, collections: listCollections(user) });
+  } catch (error) {
+    console.error('Error getting collections:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * One collection with its items in order. Each item carries its document, or null once
+ * the document is trashed or deleted. Shares are only listed for the owner.
+ */
+function getCollection(collectionId) {
+  try {
+    const user = getCurrentUser();
+    if (!user.isSignedIn) {
+      return JSON.stringify({ success: false, error: 'User not authenticated' });
+    }
+    const found = requireCollectionAccess(user, collectionId, 'view');
+    if (found.response) return found.response;
+
+    const documents = getRepository('Documents');
+    const items = getCollectionItems(collectionId).map(item => {
+      const doc = documents.findById(item.DocID);
+      return {
+        ItemID: item.ItemID, DocID: item.DocID, Position: item.Position, Note: item.Note, AddedBy: item.AddedBy,
+        DateAdded: item.DateAdded, Document: doc && doc.Status !== 'Trashed' && canSeeDocument(user, doc) ? doc : null
+      };
+    });
+    const shares = found.access === 'owner'
+      ? getRepository('CollectionShares').findBy('CollectionID', collectionId).map(share => ({
+        ShareID: share.ShareID, Principal: share.Principal, PrincipalType: share.PrincipalType, Access: share.Access,
+        SharedBy: share.SharedBy, DateShared: share.DateShared
+      }))
+      : [];
+    return JSON.stringify({
+      success: true,
+      collection: Object.assign(toCollectionSummary(found.collection, found.access), {
+        DateCreated: found.collection.DateCreated, Items: items, Shares: shares, Link: getCollectionLink(collectionId)
+      })
+    });
+  } catch (error) {
+    console.error('Error getting collection:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * @param {Object} collectionData - { Name, Description }
+ */
+function createCollection(collectionData) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!user.isSignedIn) {
+        return JSON.stringify({ success: false, error: 'User not authenticated' });
+      }
+      const name = String((collectionData && collectionData.Name) || '').trim();
+      if (!name) {
+        return JSON.stringify({ success: false, error: 'Collection name is required' });
+      }
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Collections');
+      if (!sheet) {
+        return JSON.stringify({ success: false, error: 'Database not initialized' });
+      }
+      const now = new Date();
+      const row = [generateId('COL'), name, String(collectionData.Description || '').trim(), user.email, now, now, false];
+      sheet.appendRow(row);
+      invalidateSheetCache('Collections');
+      logActivity(user, 'Created Collection', '', `Created collection "${name}"`);
+      return JSON.stringify({ success: true, collection: toCollectionSummary(toRecord(SCHEMA.Collections, row), 'owner') });
+    });
+  } catch (error) {
+    console.error('Error creating collection:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Rename or redescribe a collection; editors may do this as well as the owner.
+ * @param {Object} updates - { Name, Description }
+ */
+function updateCollection(collectionId, updates) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!user.isSignedIn) {
+        return JSON.stringify({ success: false, error: 'User not authenticated' });
+      }
+      const found = requireCollectionAccess(user, collectionId, 'edit');
+      if (found.response) return found.response;
+      if (updates.Name !== undefined && !String(updates.Name).trim()) {
+        return JSON.stringify({ success: false, error: 'Collection name is required' });
+      }
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Collections');
+      const data = sheet.getDataRange().getValues();
+      const rowIndex = data.findIndex((row, i) => i > 0 && row[0] === collectionId);
+      if (rowIndex === -1) {
+        return JSON.stringify({ success: false, error: 'Collection not found' });
+      }
+      const row = data[rowIndex];
+      if (updates.Name !== undefined) row[1] = String(updates.Name).trim();
+      if (updates.Description !== undefined) row[2] = String(updates.Description).trim();
+      row[5] = new Date();
+      sheet.getRange(rowIndex + 1, 1, 1, row.length).setValues([row]);
+      invalidateSheetCache('Collections');
+      return JSON.stringify({ success: true, collection: toCollectionSummary(toRecord(data[0], row), found.access) });
+    });
+  } catch (error) {
+    console.error('Error updating collection:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Delete a collection with its items and shares. Only the owner can, and the default
+ * collection stays - it holds the user's favorites.
+ */
+function deleteCollection(collectionId) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!user.isSignedIn) {
+        return JSON.stringify({ success: false, error: 'User not authenticated' });
+      }
+      const found = requireCollectionAccess(user, collectionId, 'owner');
+      if (found.response) return found.response;
+      if (found.collection.IsDefault === true) {
+        return JSON.stringify({ success: false, error: 'Your favorites collection cannot be deleted' });
+      }
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      ['CollectionItems', 'CollectionShares', 'Collections'].forEach(sheetName => {
+        const sheet = ss.getSheetByName(sheetName);
+        if (!sheet || sheet.getLastRow() <= 1) return;
+        // Collections rows hold their own ID first; items and shares reference it in the second column
+        const col = sheetName === 'Collections' ? 0 : 1;
+        const data = sheet.getDataRange().getValues();
+        let deleted = 0;
+        for (let i = data.length - 1; i >= 1; i--) {
+          if (data[i][col] !== collectionId) continue;
+          sheet.deleteRow(i + 1);
+          deleted++;
+        }
+        if (deleted > 0) invalidateSheetCache(sheetName);
+      });
+      logActivity(user, 'Deleted Collection', '', `Deleted collection "${found.collection.Name}"`);
+      return JSON.stringify({ success: true });
+    });
+  } catch (error) {
+    console.error('Error deleting collection:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Append a document to the end of a collection.
+ * @param {string} [note] - shown alongside the document in the collection
+ */
+function addToCollection(collectionId, docId, note) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!user.isSignedIn) {
+        return JSON.stringify({ success: false, error: 'User not authenticated' });
+      }
+      const found = requireCollectionAccess(user, collectionId, 'edit');
+      if (found.response) return found.response;
+      const doc = getRepository('Documents').findById(docId);
+      if (!doc || doc.Status === 'Trashed' || !canSeeDocument(user, doc)) {
+        return JSON.stringify({ success: false, error: 'Document not found' });
+      }
+      if (getCollectionItems(collectionId).some(item => item.DocID === docId)) {
+        return JSON.stringify({ success: false, error: `This document is already in "${found.collection.Name}"` });
+      }
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('CollectionItems');
+      const item = appendCollectionItem(sheet, collectionId, docId, note, user);
+      logActivity(user, 'Added To Collection', docId, `Added "${doc.DocumentName}" to collection "${found.collection.Name}"`);
+      return JSON.stringify({ success: true, item: item });
+    });
+  } catch (error) {
+    console.error('Error adding to collection:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Write a CollectionItems row after the collection's current last item.
+ */
+function appendCollectionItem(sheet, collectionId, docId, note, user) {
+  const items = getCollectionItems(collectionId);
+  const position = items.length > 0 ? (Number(items[items.length - 1].Position) || 0) + 1 : 1;
+  const row = [generateId('ITEM'), collectionId, docId, position, String(note || '').trim(), user.email, new Date()];
+  sheet.appendRow(row);
+  invalidateSheetCache('CollectionItems');
+  touchCollection(collectionId);
+  return toRecord(SCHEMA.CollectionItems, row);
+}
+
+function removeFromCollection(collectionId, itemId) {
+  return editCollectionItem(collectionId, itemId, (sheet, rowNumber) => {
+    sheet.deleteRow(rowNumber);
+    return { success: true };
+  });
+}
+
+function updateCollectionItem(collectionId, itemId, note) {
+  return editCollectionItem(collectionId, itemId, (sheet, rowNumber) => {
+    sheet.getRange(rowNumber, SCHEMA.CollectionItems.indexOf('Note') + 1).setValue(String(note || '').trim());
+    return { success: true };
+  });
+}
+
+/**
+ * Shared checks for the item mutators: signed in, edit access and the item in this collection.
+ * @param {function(Sheet, number): Object} apply - receives the CollectionItems sheet and the item's row number
+ */
+function editCollectionItem(collectionId, itemId, apply) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!user.isSignedIn) {
+        return JSON.stringify({ success: false, error: 'User not authenticated' });
+      }
+      const found = requireCollectionAccess(user, collectionId, 'edit');
+      if (found.response) return found.response;
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('CollectionItems');
+      const data = sheet.getDataRange().getValues();
+      const rowIndex = data.findIndex((row, i) => i > 0 && row[0] === itemId && row[1] === collectionId);
+      if (rowIndex === -1) {
+        return JSON.stringify({ success: false, error: 'Item not found' });
+      }
+      const result = apply(sheet, rowIndex + 1);
+      invalidateSheetCache('CollectionItems');
+      touchCollection(collectionId);
+      return JSON.stringify(result);
+    });
+  } catch (error) {
+    console.error('Error editing collection item:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * @param {string[]} itemIds - every item of the collection, in the new order
+ */
+function reorderCollection(collectionId, itemIds) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!user.isSignedIn) {
+        return JSON.stringify({ success: false, error: 'User not authenticated' });
+      }
+      const found = requireCollectionAccess(user, collectionId, 'edit');
+      if (found.response) return found.response;
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('CollectionItems');
+      const data = sheet.getDataRange().getValues();
+      const rows = [];
+      data.forEach((row, i) => { if (i > 0 && row[1] === collectionId) rows.push(i); });
+      const ids = Array.isArray(itemIds) ? itemIds : [];
+      if (ids.length !== rows.length || !rows.every(i => ids.includes(data[i][0]))) {
+        return JSON.stringify({ success: false, error: 'The collection changed while you were reordering it - please reload and try again' });
+      }
+      const col = SCHEMA.CollectionItems.indexOf('Position') + 1;
+      rows.forEach(i => sheet.getRange(i + 1, col).setValue(ids.indexOf(data[i][0]) + 1));
+      invalidateSheetCache('CollectionItems');
+      touchCollection(collectionId);
+      return JSON.stringify({ success: true });
+    });
+  } catch (error) {
+    console.error('Error reordering collection:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+function touchCollection(collectionId) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Collections');
+  const rowIndex = getRepository('Collections').getValues().findIndex((row, i) => i > 0 && row[0] === collectionId);
+  if (rowIndex === -1) return;
+  sheet.getRange(rowIndex + 1, SCHEMA.Collections.indexOf('LastModified') + 1).setValue(new Date());
+  invalidateSheetCache('Collections');
+}
+
+/**
+ * Share a collection with a person or a whole domain, or change the access of an existing share.
+ * @param {string} principal - an email address, or a domain such as example.com
+ * @param {string} access - one of SHARE_ACCESS
+ */
+function shareCollection(collectionId, principal, access) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!user.isSignedIn) {
+        return JSON.stringify({ success: false, error: 'User not authenticated' });
+      }
+      const found = requireCollectionAccess(user, collectionId, 'owner');
+      if (found.response) return found.response;
+      if (!SHARE_ACCESS.includes(access)) {
+        return JSON.stringify({ success: false, error: 'Invalid access level' });
+      }
+      const value = String(principal || '').trim().toLowerCase().replace(/^@/, '');
+      const principalType = value.includes('@') ? 'user' : 'domain';
+      const valid = principalType === 'user' ? isValidEmail(value) : /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(value);
+      if (!valid) {
+        return JSON.stringify({ success: false, error: 'Enter an email address or a domain such as example.com' });
+      }
+      if (value === String(found.collection.OwnerEmail).toLowerCase()) {
+        return JSON.stringify({ success: false, error: 'You already own this collection' });
+      }
+
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('CollectionShares');
+      const data = sheet.getDataRange().getValues();
+      const rowIndex = data.findIndex((row, i) => i > 0 && row[1] === collectionId && String(row[2]).toLowerCase() === value);
+      const row = rowIndex > 0 ? data[rowIndex] : [generateId('SHR'), collectionId, value, principalType, access, user.email, new Date()];
+      if (rowIndex > 0) {
+        row[4] = access;
+        sheet.getRange(rowIndex + 1, 1, 1, row.length).setValues([row]);
+      } else {
+        sheet.appendRow(row);
+      }
+      invalidateSheetCache('CollectionShares');
+      logActivity(user, 'Shared Collection', '', `Shared collection "${found.collection.Name}" with ${value} (${access})`);
+      return JSON.stringify({ success: true, share: toRecord(SCHEMA.CollectionShares, row) });
+    });
+  } catch (error) {
+    console.error('Error sharing collection:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+function unshareCollection(collectionId, shareId) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!user.isSignedIn) {
+        return JSON.stringify({ success: false, error: 'User not authenticated' });
+      }
+      const found = requireCollectionAccess(user, collectionId, 'owner');
+      if (found.response) return found.response;
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('CollectionShares');
+      const data = sheet.getDataRange().getValues();
+      const rowIndex = data.findIndex((row, i) => i > 0 && row[0] === shareId && row[1] === collectionId);
+      if (rowIndex === -1) {
+        return JSON.stringify({ success: false, error: 'Share not found' });
+      }
+      sheet.deleteRow(rowIndex + 1);
+      invalidateSheetCache('CollectionShares');
+      return JSON.stringify({ success: true });
+    });
+  } catch (error) {
+    console.error('Error removing collection share:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Schema migration 13: give every user with favorites a default collection holding them,
+ * in the order they were added. Users who already have one are skipped, so a re-run
+ * after a partial upgrade doesn't duplicate anything.
+ */
+function migrateFavoritesToCollections(ss) {
+  const favorites = ss.getSheetByName('UserFavorites');
+  if (!favorites || favorites.getLastRow() <= 1) return;
+  const collections = ss.getSheetByName('Collections');
+  const hasDefault = {};
+  if (collections.getLastRow() > 1) {
+    collections.getDataRange().getValues().slice(1).forEach(row => { if (row[6] === true) hasDefault[row[3]] = true; });
+  }
+
+  const now = new Date();
+  const defaults = {};
+  const collectionRows = [];
+  const itemRows = [];
+  favorites.getDataRange().getValues().slice(1).forEach(row => {
+    const email = row[1];
+    const docId = row[2];
+    if (!email || !docId || hasDefault[email]) return;
+    if (!defaults[email]) {
+      defaults[email] = { id: generateId('COL'), count: 0 };
+      collectionRows.push([defaults[email].id, DEFAULT_COLLECTION_NAME, '', email, now, now, true]);
+    }
+    defaults[email].count++;
+    itemRows.push([generateId('ITEM'), defaults[email].id, docId, defaults[email].count, '', email, row[3] || now]);
+  });
+  if (collectionRows.length === 0) return;
+
+  // Items first: if the run stops in between, the orphaned items are harmless and the re-run starts over
+  const items = ss.getSheetByName('CollectionItems');
+  items.getRange(items.getLastRow() + 1, 1, itemRows.length, itemRows[0].length).setValues(itemRows);
+  collections.getRange(collections.getLastRow() + 1, 1, collectionRows.length, collectionRows[0].length).setValues(collectionRows);
+}
+
+// =====================================
+// SUBSCRIPTIONS & NOTIFICATIONS
+// =====================================
+
+const SUBSCRIPTION_TYPES = ['category', 'tag', 'document'];
+const DIGEST_FREQUENCIES = ['daily', 'weekly', 'off'];
+
+// Activity that subscribers hear about; everything else in the log is housekeeping
+const NOTIFY_ACTIONS = ['Created Document', 'Updated Document', 'Archived Document', 'Restored Document', 'Trashed Document',
+  'Restored From Trash', 'Deleted Document', 'Reverted Document', 'Merged Duplicates', 'Link Needs Attention',
+  'Approved Document', 'Rejected Document'];
+
+function getUserSubscriptions(email) {
+  try {
+    const subscriptions = getRepository('Subscriptions').findBy('UserEmail', email).map(sub => ({
+      SubscriptionID: sub.SubscriptionID, TargetType: sub.TargetType, Target: sub.Target, DateCreated: sub.DateCreated
+    }));
+    return { success: true, subscriptions: subscriptions };
+  } catch (error) {
+    console.error('Error getting subscriptions:', error);
+    return { success: false, error: error.toString() };
+  }
+}
+
+/**
+ * Subscribe the current user to a category, tag or document, or unsubscribe if already subscribed.
+ * @param {string} targetType - one of SUBSCRIPTION_TYPES
+ * @param {string} target - category name, tag name or DocID
+ */
+function toggleSubscription(targetType, target) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!user.isSignedIn) {
+        return JSON.stringify({ success: false, error: 'User not authenticated' });
+      }
+      if (!SUBSCRIPTION_TYPES.includes(targetType) || !target) {
+        return JSON.stringify({ success: false, error: 'Invalid subscription' });
+      }
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Subscriptions');
+      if (!sheet) {
+        return JSON.stringify({ success: false, error: 'Database not initialized' });
+      }
+
+      const data = sheet.getDataRange().getValues();
+      const matches = row => row[1] === user.email && row[2] === targetType &&
+        (targetType === 'tag' ? sameTag(row[3], target) : row[3] === target);
+      const rowIndex = data.findIndex((row, i) => i > 0 && matches(row));
+      if (rowIndex > 0) {
+        sheet.deleteRow(rowIndex + 1);
+        invalidateSheetCache('Subscriptions');
+        return JSON.stringify({ success: true, subscribed: false });
+      }
+      const subscription = { SubscriptionID: generateId('SUB'), TargetType: targetType, Target: target, DateCreated: new Date() };
+      sheet.appendRow([subscription.SubscriptionID, user.email, targetType, target, subscription.DateCreated]);
+      invalidateSheetCache('Subscriptions');
+      return JSON.stringify({ success: true, subscribed: true, subscription: subscription });
+    });
+  } catch (error) {
+    console.error('Error toggling subscription:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Recent activity matching the current user's subscriptions for the notification bell.
+ */
+function getNotifications(limit = CONFIG.notificationLimit) {
+  try {
+    const user = getCurrentUser();
+    if (!user.isSignedIn) {
+      return JSON.stringify({ success: false, error: 'User not authenticated' });
+    }
+    const settings = getNotificationSettings()[user.email] || {};
+    const subscriptions = getUserSubscriptions(user.email).subscriptions || [];
+    const items = findSubscribedActivity(user, subscriptions, null, loadNotificationContext(CONFIG.notificationScanRows));
+    const lastRead = settings.LastReadAt ? new Date(settings.LastReadAt) : null;
+    const unreadCount = items.filter(item => !lastRead || new Date(item.Timestamp) > lastRead).length;
+    return JSON.stringify({
+      success: true,
+      notifications: items.slice(0, limit),
+      unreadCount: unreadCount,
+      lastReadAt: settings.LastReadAt || null,
+      frequency: settings.Frequency || CONFIG.defaultDigestFrequency
+    });
+  } catch (error) {
+    console.error('Error getting notifications:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+function markNotificationsRead() {
+  try {
+    const user = getCurrentUser();
+    if (!user.isSignedIn) {
+      return JSON.stringify({ success: false, error: 'User not authenticated' });
+    }
+    saveNotificationSettings(user.email, { LastReadAt: new Date() });
+    return JSON.stringify({ success: true });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+function setDigestFrequency(frequency) {
+  try {
+    const user = getCurrentUser();
+    if (!user.isSignedIn) {
+      return JSON.stringify({ success: false, error: 'User not authenticated' });
     }
-    let successCount = 0;
-    docIds.forEach(docId => {
-      const result = JSON.parse(updateDocument(docId, { Status: 'Active' }));
-      if (result.success) {
-        logActivity(user, 'Restored Document', docId, 'Bulk operation');
-        successCount++;
+    if (!DIGEST_FREQUENCIES.includes(frequency)) {
+      return JSON.stringify({ success: false, error: 'Invalid digest frequency' });
+    }
+    saveNotificationSettings(user.email, { Frequency: frequency });
+    return JSON.stringify({ success: true, frequency: frequency });
+  } catch (error) {
+    console.error('Error setting digest frequency:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Daily trigger handler. Emails each subscriber what happened since their last digest;
+ * weekly subscribers are only sent one on CONFIG.digestWeekday.
+ * @param {Object} [mailer] - from createMailer; defaults to MailApp
+ */
+function sendNotificationDigests(mailer) {
+  try {
+    // Trigger handlers receive an event object as their first argument
+    if (!mailer || typeof mailer.send !== 'function') mailer = createMailer();
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Subscriptions');
+    if (!sheet || sheet.getLastRow() <= 1) return JSON.stringify({ success: true, sent: 0 });
+
+    const bySubscriber = {};
+    sheet.getDataRange().getValues().slice(1).forEach(row => {
+      (bySubscriber[row[1]] = bySubscriber[row[1]] || []).push({ SubscriptionID: row[0], TargetType: row[2], Target: row[3] });
+    });
+    const settings = getNotificationSettings();
+    const context = loadNotificationContext();
+    const now = new Date();
+    let sent = 0;
+
+    Object.keys(bySubscriber).forEach(email => {
+      const userSettings = settings[email] || {};
+      const frequency = userSettings.Frequency || CONFIG.defaultDigestFrequency;
+      if (frequency === 'off' || (frequency === 'weekly' && now.getDay() !== CONFIG.digestWeekday)) return;
+      const since = userSettings.LastDigestAt
+        ? new Date(userSettings.LastDigestAt)
+        : new Date(now.getTime() - (frequency === 'weekly' ? 7 : 1) * 24 * 60 * 60 * 1000);
+      const subscriber = { isSignedIn: true, email: email, role: getUserRole(email) };
+      const items = findSubscribedActivity(subscriber, bySubscriber[email], since, context);
+      if (items.length > 0) {
+        try {
+          mailer.send(email, `${CONFIG.appName}: ${items.length} update${items.length === 1 ? '' : 's'} on what you follow`, buildNotificationDigestHtml(items));
+          sent++;
+        } catch (error) {
+          console.error(`Error sending digest to ${email}:`, error);
+          return;
+        }
       }
+      saveNotificationSettings(email, { LastDigestAt: now });
     });
-    return JSON.stringify({ success: true, summary: `${successCount} of ${docIds.length} documents restored.` });
+    return JSON.stringify({ success: true, sent: sent });
   } catch (error) {
-    console.error('Error in bulk restore:', error);
+    console.error('Error sending notification digests:', error);
     return JSON.stringify({ success: false, error: error.toString() });
   }
 }
 
+/**
+ * Install the daily digest trigger. Run once from the script editor.
+ */
+function installNotificationDigestTrigger() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === 'sendNotificationDigests')
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  ScriptApp.newTrigger('sendNotificationDigests').timeBased().everyDays(1).atHour(8).create();
+  return JSON.stringify({ success: true, message: 'Notification digest trigger installed' });
+}
+
+/**
+ * ActivityLog rows and documents (trashed included) needed to match activity to subscriptions.
+ * @param {number} [maxRows] - only read this many of the most recent log rows
+ */
+function loadNotificationContext(maxRows) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('ActivityLog');
+  if (!sheet) return { activity: [], documents: {} };
+  const activity = readLastRows(sheet, maxRows || sheet.getLastRow());
+  const documents = {};
+  (getDocuments({ includeTrashed: true }).documents || []).forEach(doc => { documents[doc.DocID] = doc; });
+  return { activity: activity, documents: documents };
+}
+
+/**
+ * Activity by other users on documents the subscriber follows directly or through a
+ * category (subcategories included) or tag, skipping documents they can't see. Newest first.
+ */
+function findSubscribedActivity(user, subscriptions, since, context) {
+  const email = user.email;
+  if (subscriptions.length === 0) return [];
+  const targets = type => subscriptions.filter(sub => sub.TargetType === type).map(sub => sub.Target);
+  const categoryNames = targets('category');
+  const categories = categoryNames.length > 0 ? expandCategoryNames(categoryNames) : [];
+  const tags = targets('tag');
+  const docIds = targets('document');
+
+  const reasonFor = (docId, doc) => {
+    if (docIds.includes(docId)) return 'Followed document';
+    if (!doc) return null;
+    if (categories.includes(doc.Category)) return `Category: ${doc.Category}`;
+    const tag = normalizeTags(doc.Tags).find(t => tags.some(s => sameTag(s, t)));
+    return tag ? `Tag: ${tag}` : null;
+  };
+
+  const items = [];
+  for (let i = context.activity.length - 1; i >= 0; i--) {
+    const row = context.activity[i];
+    if (since && new Date(row[6]) <= since) break;
+    if (!row[4] || row[1] === email || !NOTIFY_ACTIONS.includes(row[3])) continue;
+    const doc = context.documents[row[4]];
+    if (doc && !canSeeDocument(user, doc)) continue;
+    const reason = reasonFor(row[4], doc);
+    if (!reason) continue;
+    items.push({
+      ActivityID: row[0], UserEmail: row[1], UserName: row[2], Action: row[3], DocID: row[4], Details: row[5], Timestamp: row[6],
+      DocumentName: doc ? doc.DocumentName : '', GoogleDriveURL: doc ? doc.GoogleDriveURL : '', Reason: reason
+    });
+  }
+  return items;
+}
+
+function buildNotificationDigestHtml(items) {
+  const timeZone = Session.getScriptTimeZone();
+  const rows = items.map(item => `<li><strong>${escapeHtml(item.Action)}</strong>:
+    ${item.GoogleDriveURL ? `<a href="${escapeHtml(item.GoogleDriveURL)}">${escapeHtml(item.DocumentName)}</a>` : escapeHtml(item.DocumentName || item.DocID)}
+    by ${escapeHtml(item.UserName)} · ${Utilities.formatDate(new Date(item.Timestamp), timeZone, 'MMM d, HH:mm')}
+    <br><small>${escapeHtml(item.Reason)}</small></li>`).join('');
+  return `<p>Here is what changed in ${escapeHtml(CONFIG.appName)} for the categories, tags and documents you follow.</p>
+    <ul>${rows}</ul>
+    <p><small>Change how often you get this email from the notification bell in ${escapeHtml(CONFIG.appName)}.</small></p>`;
+}
+
+/**
+ * Point subscriptions at a renamed or merged target; a null newTarget removes them.
+ * A user already following newTarget keeps a single subscription.
+ */
+function retargetSubscriptions(targetType, oldTargets, newTarget) {
+  return withScriptLock(() => {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Subscriptions');
+    if (!sheet || sheet.getLastRow() <= 1) return;
+    const data = sheet.getDataRange().getValues();
+    const same = (a, b) => targetType === 'tag' ? sameTag(a, b) : a === b;
+    const following = {};
+    data.slice(1).forEach(row => {
+      if (newTarget !== null && row[2] === targetType && same(row[3], newTarget)) following[row[1]] = true;
+    });
+    for (let i = data.length - 1; i >= 1; i--) {
+      if (data[i][2] !== targetType || !oldTargets.some(old => same(old, data[i][3]))) continue;
+      if (newTarget === null || following[data[i][1]]) {
+        sheet.deleteRow(i + 1);
+      } else {
+        sheet.getRange(i + 1, 4).setValue(newTarget);
+        following[data[i][1]] = true;
+      }
+    }
+    invalidateSheetCache('Subscriptions');
+  });
+}
+
+/**
+ * NotificationSettings rows keyed by user email.
+ */
+function getNotificationSettings() {
+  const settings = {};
+  getRepository('NotificationSettings').getRecords().forEach(entry => { settings[entry.UserEmail] = entry; });
+  return settings;
+}
+
+function saveNotificationSettings(email, values) {
+  return withScriptLock(() => {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('NotificationSettings');
+    if (!sheet) throw new Error('Database not initialized');
+    const data = sheet.getDataRange().getValues();
+    const headers = data[0];
+    const rowIndex = data.findIndex((row, i) => i > 0 && row[0] === email);
+    if (rowIndex === -1) {
+      sheet.appendRow(headers.map(header => header === 'UserEmail' ? email : (values[header] !== undefined ? values[header] : '')));
+    } else {
+      Object.keys(values).forEach(field => {
+        sheet.getRange(rowIndex + 1, headers.indexOf(field) + 1).setValue(values[field]);
+      });
+    }
+    invalidateSheetCache('NotificationSettings');
+  });
+}
+
 // =====================================
-// CATEGORIES & TAGS
+// ANALYTICS & ACTIVITY
 // =====================================
 
-function getCategories() {
+function recordDocumentView(docId) {
+  try {
+    return withScriptLock(() => {
+      const user = getCurrentUser();
+      if (!user.isSignedIn) {
+        return JSON.stringify({ success: false, error: 'User not authenticated' });
+      }
+    
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const sheet = ss.getSheetByName('Analytics');
+      if (!sheet) {
+        return JSON.stringify({ success: false, error: 'Database not initialized' });
+      }
+    
+      // Get document name for the view record
+      const doc = getRepository('Documents').findById(docId);
+      const docName = doc ? doc.DocumentName : 'Unknown Document';
+    
+      const viewId = generateId('VIEW');
+      const now = new Date();
+      sheet.appendRow([viewId, docId, user.email, now, 'Web Browser', docName]);
+    
+      return JSON.stringify({ success: true, message: 'View recorded' });
+    });
+  } catch (error) {
+    console.error('Error recording document view:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Aggregate document views from the Analytics sheet. Results are cached for
+ * CONFIG.analyticsCacheSeconds, so from and to are rounded out to whole hours.
+ * @param {Object} options - { from, to, category, limit } - dates may be Date objects or ISO strings
+ */
+function getAnalyticsData(options = {}) {
+  const empty = { totalViews: 0, uniqueViewers: 0, topDocuments: [], topCategories: {}, recentViews: [], viewsByDay: {}, documentStats: {} };
   try {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sheet = ss.getSheetByName('Categories');
-    if (!sheet || sheet.getLastRow() <= 1) return { success: true, categories: [] };
+    const sheet = ss.getSheetByName('Analytics');
+    if (!sheet || sheet.getLastRow() <= 1) {
+      return { success: true, analytics: empty };
+    }
+    const hour = 60 * 60 * 1000;
+    const from = options.from ? new Date(Math.floor(new Date(options.from).getTime() / hour) * hour) : null;
+    const to = options.to ? new Date(Math.ceil(new Date(options.to).getTime() / hour) * hour) : null;
+    const limit = options.limit || 10;
+    const timeZone = Session.getScriptTimeZone();
+
+    const cache = CacheService.getScriptCache();
+    const cacheKey = `analytics:${getCacheGeneration(cache, 'Analytics')}:` +
+      JSON.stringify([from && from.getTime(), to && to.getTime(), options.category || '', limit]);
+    const cached = getCachedValue(cache, cacheKey);
+    if (cached) return { success: true, analytics: cached };
+
+    // Document names and categories come from the Documents sheet so renames are reflected
+    const docInfo = {};
+    getRepository('Documents').getRecords().forEach(doc => {
+      docInfo[doc.DocID] = { name: doc.DocumentName, category: doc.Category };
+    });
+
     const data = sheet.getDataRange().getValues();
-    const categories = data.slice(1).filter(row => row[4] === true).map(row => ({
-      CategoryID: row[0], CategoryName: row[1], CreatedBy: row[2], DateCreated: row[3], DocumentCount: row[5] || 0
+    const headers = data[0];
+    const col = {
+      docId: headers.indexOf('DocID'),
+      user: headers.indexOf('UserEmail'),
+      timestamp: headers.indexOf('Timestamp'),
+      name: headers.indexOf('DocumentName')
+    };
+
+    const perDocument = {};
+    const topCategories = {};
+    const viewsByDay = {};
+    const allViewers = new Set();
+    const views = [];
+
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      const timestamp = new Date(row[col.timestamp]);
+      if (isNaN(timestamp)) continue;
+      if (from && timestamp < from) continue;
+      if (to && timestamp > to) continue;
+
+      const docId = row[col.docId];
+      const info = docInfo[docId] || { name: row[col.name] || 'Unknown Document', category: '' };
+      if (options.category && info.category !== options.category) continue;
+
+      const email = row[col.user];
+      if (!perDocument[docId]) {
+        perDocument[docId] = { docId: docId, name: info.name, category: info.category, views: 0, viewers: new Set(), lastViewed: null };
+      }
+      const stats = perDocument[docId];
+      stats.views++;
+      stats.viewers.add(email);
+      if (!stats.lastViewed || timestamp > stats.lastViewed) stats.lastViewed = timestamp;
+
+      if (info.category) topCategories[info.category] = (topCategories[info.category] || 0) + 1;
+      const day = Utilities.formatDate(timestamp, timeZone, 'yyyy-MM-dd');
+      viewsByDay[day] = (viewsByDay[day] || 0) + 1;
+      allViewers.add(email);
+      views.push({ docId: docId, name: info.name, userEmail: email, timestamp: timestamp });
+    }
+
+    const documentStats = {};
+    const documents = Object.keys(perDocument).map(docId => {
+      const stats = perDocument[docId];
+      const summary = {
+        docId: docId, name: stats.name, category: stats.category, views: stats.views,
+        uniqueViewers: stats.viewers.size, lastViewed: stats.lastViewed
+      };
+      documentStats[docId] = { views: summary.views, uniqueViewers: summary.uniqueViewers, lastViewed: summary.lastViewed };
+      return summary;
+    });
+    documents.sort((a, b) => b.views - a.views || b.uniqueViewers - a.uniqueViewers);
+    views.sort((a, b) => b.timestamp - a.timestamp);
+
+    const analytics = {
+      totalViews: views.length,
+      uniqueViewers: allViewers.size,
+      topDocuments: documents.slice(0, limit),
+      topCategories: topCategories,
+      recentViews: views.slice(0, limit),
+      viewsByDay: viewsByDay,
+      documentStats: documentStats
+    };
+    putCachedValue(cache, cacheKey, analytics, CONFIG.analyticsCacheSeconds);
+    return { success: true, analytics: analytics };
+  } catch(error) {
+    console.error('Error getting analytics:', error);
+    return { success: false, analytics: {} };
+  }
+}
+
+/**
+ * getAnalyticsData for the client.
+ * @param {Object} options - { from, to ('yyyy-MM-dd' for to includes that whole day), category }
+ */
+function getAnalytics(options = {}) {
+  try {
+    const user = getCurrentUser();
+    if (!user.isSignedIn) {
+      return JSON.stringify({ success: false, error: 'User not authenticated' });
+    }
+    options = options || {};
+    const range = getActivityRange(options);
+    if (range.error) return JSON.stringify({ success: false, error: range.error });
+    const result = getAnalyticsData({ from: range.from, to: range.to, category: options.category || '' });
+    if (!result.success) return JSON.stringify({ success: false, error: 'Analytics are unavailable right now' });
+    return JSON.stringify({ success: true, analytics: toClientAnalytics(user, result.analytics) });
+  } catch (error) {
+    console.error('Error getting analytics:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Who viewed what (recentViews) is only sent to admins.
+ */
+function toClientAnalytics(user, analytics) {
+  return isAuthorized(user, 'activity:audit') ? analytics : Object.assign({}, analytics, { recentViews: [] });
+}
+
+function getRecentActivity(limit = CONFIG.recentActivityLimit) {
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName('ActivityLog');
+    if (!sheet) return { success: true, activities: [] };
+    
+    const activities = readLastRows(sheet, limit).reverse().map(row => ({
+      ActivityID: row[0], UserEmail: row[1], UserName: row[2], Action: row[3],
+      DocID: row[4], Details: row[5], Timestamp: row[6]
     }));
-    categories.sort((a, b) => a.CategoryName.localeCompare(b.CategoryName));
-    return { success: true, categories: categories };
+    return { success: true, activities: activities };
   } catch (error) {
-    console.error('Error getting categories:', error);
+    console.error('Error getting recent activity:', error);
     return { success: false, error: error.toString() };
   }
 }
 
-function addCategory(categoryName) {
+// =====================================
+// AUDIT LOG
+// =====================================
+
+// ActivityLog keeps CONFIG.activityRetentionDays of activity; archiveActivityLog moves older rows here
+const ACTIVITY_ARCHIVE_SHEET = 'ActivityLogArchive';
+
+/**
+ * Search the activity log, newest first. Admins can search all of it; everyone else can
+ * only read one document's timeline.
+ * @param {Object} filters - { user (part of an email or name), action, docId, from, to (dates; a bare
+ *   'yyyy-MM-dd' for to includes that whole day), page (from 1), includeArchived }
+ * @returns {string} JSON { success, activities, total, page, hasMore, actions }
+ */
+function queryActivity(filters = {}) {
   try {
     const user = getCurrentUser();
     if (!user.isSignedIn) {
       return JSON.stringify({ success: false, error: 'User not authenticated' });
     }
-    
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sheet = ss.getSheetByName('Categories');
-    if (!sheet) {
-      return JSON.stringify({ success: false, error: 'Database not initialized' });
+    filters = filters || {};
+    if (!filters.docId && !isAuthorized(user, 'activity:audit')) return forbiddenResponse('activity:audit');
+    const range = getActivityRange(filters);
+    if (range.error) return JSON.stringify({ success: false, error: range.error });
+
+    const found = findActivity(filters, range);
+    const page = Math.max(1, parseInt(filters.page) || 1);
+    const start = (page - 1) * CONFIG.activityPageSize;
+    return JSON.stringify({
+      success: true,
+      activities: found.activities.slice(start, start + CONFIG.activityPageSize),
+      total: found.activities.length,
+      page: page,
+      hasMore: start + CONFIG.activityPageSize < found.activities.length,
+      actions: found.actions
+    });
+  } catch (error) {
+    console.error('Error querying activity:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Everything queryActivity matches, as CSV, up to CONFIG.maxActivityExport rows.
+ * @param {Object} filters - as for queryActivity; page is ignored
+ * @returns {string} JSON with { filename, mimeType, content, count, truncated }
+ */
+function exportActivity(filters = {}) {
+  try {
+    const user = getCurrentUser();
+    if (!user.isSignedIn) {
+      return JSON.stringify({ success: false, error: 'User not authenticated' });
     }
-    
-    // Check if category already exists
+    filters = filters || {};
+    if (!filters.docId && !isAuthorized(user, 'activity:audit')) return forbiddenResponse('activity:audit');
+    const range = getActivityRange(filters);
+    if (range.error) return JSON.stringify({ success: false, error: range.error });
+
+    const activities = findActivity(filters, range).activities;
+    const records = activities.slice(0, CONFIG.maxActivityExport);
+    const columns = ['Timestamp', 'UserEmail', 'UserName', 'Action', 'DocID', 'Details', 'ActivityID'];
+    const stamp = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+
+    logActivity(user, 'Exported Activity', filters.docId || '', `Exported ${records.length} activity entries as CSV`);
+    return JSON.stringify({
+      success: true,
+      count: records.length,
+      truncated: activities.length > records.length,
+      filename: `activity-log-${stamp}.csv`,
+      mimeType: 'text/csv',
+      content: buildExportCsv(records, columns)
+    });
+  } catch (error) {
+    console.error('Error exporting activity:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Dates from the date inputs ('yyyy-MM-dd') are days in the script time zone.
+ * @returns {{from: ?Date, to: ?Date, error: ?string}} to is exclusive
+ */
+function getActivityRange(filters) {
+  const isDay = value => /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+  const parse = value => isDay(value) ? Utilities.parseDate(String(value), Session.getScriptTimeZone(), 'yyyy-MM-dd') : new Date(value);
+  const from = filters.from ? parse(filters.from) : null;
+  let to = filters.to ? parse(filters.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) return { error: 'Invalid date range' };
+  if (to && isDay(filters.to)) to = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+  return { from: from, to: to };
+}
+
+/**
+ * Matching rows of ActivityLog, and of ActivityLogArchive when filters.includeArchived, newest first.
+ * @returns {{activities: Object[], actions: string[]}} actions is every action seen, for filter menus
+ */
+function findActivity(filters, range) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetNames = filters.includeArchived ? [ACTIVITY_ARCHIVE_SHEET, 'ActivityLog'] : ['ActivityLog'];
+  const userFilter = String(filters.user || '').trim().toLowerCase();
+  const actions = new Set();
+  const activities = [];
+
+  sheetNames.forEach(name => {
+    const sheet = ss.getSheetByName(name);
+    if (!sheet || sheet.getLastRow() <= 1) return;
     const data = sheet.getDataRange().getValues();
-    const existingCategory = data.find(row => row[1] === categoryName);
-    if (existingCategory) {
-      return JSON.stringify({ success: false, error: 'Category already exists' });
+    data.slice(1).forEach(row => {
+      const activity = toRecord(data[0], row);
+      actions.add(activity.Action);
+      if (filters.action && activity.Action !== filters.action) return;
+      if (filters.docId && activity.DocID !== filters.docId) return;
+      if (userFilter && !String(activity.UserEmail).toLowerCase().includes(userFilter) &&
+        !String(activity.UserName).toLowerCase().includes(userFilter)) return;
+      const timestamp = new Date(activity.Timestamp);
+      if (range.from && !(timestamp >= range.from)) return;
+      if (range.to && !(timestamp < range.to)) return;
+      activities.push(activity);
+    });
+  });
+
+  // Both sheets are in the order rows were logged, the archive holding the older ones
+  activities.reverse();
+  return { activities: activities, actions: Array.from(actions).filter(Boolean).sort() };
+}
+
+/**
+ * Time-driven trigger handler: move activity older than CONFIG.activityRetentionDays from
+ * ActivityLog to ActivityLogArchive, at most CONFIG.activityArchiveBatchSize rows per run.
+ * Rows are copied before they are deleted, so an interrupted run can leave duplicates but never gaps.
+ */
+function archiveActivityLog() {
+  try {
+    return withScriptLock(() => {
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const sheet = ss.getSheetByName('ActivityLog');
+      const archive = ss.getSheetByName(ACTIVITY_ARCHIVE_SHEET);
+      if (!sheet || !archive) {
+        return JSON.stringify({ success: false, error: 'Database not initialized' });
+      }
+      if (sheet.getLastRow() <= 1) return JSON.stringify({ success: true, archived: 0 });
+
+      const cutoff = new Date(Date.now() - CONFIG.activityRetentionDays * 24 * 60 * 60 * 1000);
+      const count = Math.min(sheet.getLastRow() - 1, CONFIG.activityArchiveBatchSize);
+      const rows = sheet.getRange(2, 1, count, sheet.getLastColumn()).getValues();
+      // Rows are appended as things happen, so the expired ones are all at the top
+      let expired = rows.findIndex(row => !(new Date(row[6]) < cutoff));
+      if (expired === -1) expired = rows.length;
+      if (expired > 0) {
+        archive.getRange(archive.getLastRow() + 1, 1, expired, rows[0].length).setValues(rows.slice(0, expired));
+        sheet.deleteRows(2, expired);
+      }
+      return JSON.stringify({ success: true, archived: expired });
+    });
+  } catch (error) {
+    console.error('Error archiving activity log:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  }
+}
+
+/**
+ * Install the daily activity archive trigger. Run once from the script editor.
+ */
+function installActivityArchiveTrigger() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === 'archiveActivityLog')
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  ScriptApp.newTrigger('archiveActivityLog').timeBased().everyDays(1).atHour(3).create();
+  return JSON.stringify({ success: true, message: 'Activity archive trigger installed' });
+}
+
+// =====================================
+// DATABASE SETUP & SCHEMA MIGRATIONS
+// =====================================
+
+/**
+ * Canonical headers for every sheet the app reads.
+ * Existing code reads some columns by position, so new columns must only
+ * ever be appended to the end of a sheet - never inserted or reordered.
+ */
+const SCHEMA = {
+  Documents: ['DocID', 'DocumentName', 'GoogleDriveURL', 'Description', 'Category', 'FileType', 'SharedBy', 'Tags', 'DateAdded', 'LastModified', 'Status',
+    'TrashedAt', 'TrashedBy', 'PreviousStatus', 'LinkStatus', 'LinkCheckedAt', 'LinkDetail', 'MimeType', 'FileOwner', 'FileModifiedAt',
+    'ThumbnailURL', 'ReviewBy', 'ExpiresOn', 'Revision', 'ChangedAt', 'ApprovalRequestedBy', 'ApprovalRequestedAt', 'ApprovalDetail',
+    'ApprovalDecidedBy', 'ApprovalDecidedAt', 'ApprovalComment'],
+  Categories: ['CategoryID', 'CategoryName', 'CreatedBy', 'DateCreated', 'Active', 'DocumentCount', 'ParentID', 'Icon', 'Color',
+    'RequiresApproval', 'Approvers', 'Visibility', 'EmbedToken'],
+  Tags: ['TagID', 'TagName', 'CreatedBy', 'DateCreated', 'UsageCount'],
+  UserFavorites: ['FavoriteID', 'UserEmail', 'DocID', 'DateAdded'],
+  Analytics: ['ViewID', 'DocID', 'UserEmail', 'Timestamp', 'Source', 'DocumentName'],
+  ActivityLog: ['ActivityID', 'UserEmail', 'UserName', 'Action', 'DocID', 'Details', 'Timestamp'],
+  ActivityLogArchive: ['ActivityID', 'UserEmail', 'UserName', 'Action', 'DocID', 'Details', 'Timestamp'],
+  ApiKeys: ['KeyID', 'Name', 'KeyHash', 'Scopes', 'CreatedBy', 'DateCreated', 'LastUsed', 'RevokedAt', 'RevokedBy'],
+  OnlineUsers: ['SessionID', 'UserEmail', 'UserName', 'LoginTime', 'LastActivity', 'Avatar', 'Status'],
+  UserRoles: ['Email', 'Role', 'AssignedBy', 'DateAssigned'],
+  DocumentRevisions: ['RevisionID', 'ChangeID', 'DocID', 'Field', 'OldValue', 'NewValue', 'ChangedBy', 'Timestamp'],
+  Subscriptions: ['SubscriptionID', 'UserEmail', 'TargetType', 'Target', 'DateCreated'],
+  NotificationSettings: ['UserEmail', 'Frequency', 'LastReadAt', 'LastDigestAt'],
+  Collections: ['CollectionID', 'Name', 'Description', 'OwnerEmail', 'DateCreated', 'LastModified', 'IsDefault'],
+  CollectionItems: ['ItemID', 'CollectionID', 'DocID', 'Position', 'Note', 'AddedBy', 'DateAdded'],
+  CollectionShares: ['ShareID', 'CollectionID', 'Principal', 'PrincipalType', 'Access', 'SharedBy', 'DateShared']
+};
+
+const SCHEMA_VERSION_KEY = 'SCHEMA_VERSION';
+
+/**
+ * Ordered schema migrations. Each one must be idempotent so a partially
+ * applied upgrade can simply be re-run.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create missing sheets and header rows',
+    up: ss => {
+      Object.keys(SCHEMA).forEach(name => ensureSheet(ss, name));
     }
-    
-    const categoryId = generateId('CAT');
-    const now = new Date();
-    sheet.appendRow([categoryId, categoryName, user.email, now, true, 0]);
-    
-    logActivity(user, 'Created Category', categoryId, `Created category "${categoryName}"`);
-    
-    return JSON.stringify({ success: true, categoryId: categoryId, message: 'Category added successfully' });
+  },
+  {
+    version: 2,
+    description: 'Backfill blank Categories.Active flags',
+    up: ss => {
+      const sheet = ss.getSheetByName('Categories');
+      if (!sheet || sheet.getLastRow() <= 1) return;
+      const headers = getSheetHeaders(sheet);
+      const col = headers.indexOf('Active') + 1;
+      const range = sheet.getRange(2, col, sheet.getLastRow() - 1, 1);
+      range.setValues(range.getValues().map(row => [row[0] === '' ? true : row[0]]));
+    }
+  },
+  {
+    version: 3,
+    description: 'Add UserRoles sheet',
+    up: ss => ensureSheet(ss, 'UserRoles')
+  },
+  {
+    version: 4,
+    description: 'Add DocumentRevisions sheet',
+    up: ss => ensureSheet(ss, 'DocumentRevisions')
+  },
+  {
+    version: 5,
+    description: 'Add trash columns to Documents',
+    up: ss => ensureSheet(ss, 'Documents')
+  },
+  {
+    version: 6,
+    description: 'Add ParentID, Icon and Color to Categories and seed icons',
+    up: ss => {
+      const sheet = ensureSheet(ss, 'Categories');
+      if (sheet.getLastRow() <= 1) return;
+      // Icons that index.html used to hard-code by category name
+      const legacyIcons = {
+        'ADMINISTRATION': '⚙️', 'CI': '🚀', 'DASHBOARD': '📈', 'DIGITAL': '💻', 'INDUS': '🏭', 'LEGAL': '⚖️',
+        'PEOPLE': '👥', 'PURCHASE': '🛒', 'QUALITY': '⭐', 'SD': '🌍', 'SUPPLY': '🚚'
+      };
+      const headers = getSheetHeaders(sheet);
+      const nameCol = headers.indexOf('CategoryName');
+      const iconCol = headers.indexOf('Icon');
+      const range = sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length);
+      range.setValues(range.getValues().map(row => {
+        if (!row[iconCol]) row[iconCol] = legacyIcons[String(row[nameCol]).toUpperCase()] || '';
+        return row;
+      }));
+    }
+  },
+  {
+    version: 7,
+    description: 'Add link health columns to Documents',
+    up: ss => ensureSheet(ss, 'Documents')
+  },
+  {
+    version: 8,
+    description: 'Add Drive metadata columns to Documents',
+    up: ss => ensureSheet(ss, 'Documents')
+  },
+  {
+    version: 9,
+    description: 'Add review and expiry dates to Documents',
+    up: ss => ensureSheet(ss, 'Documents')
+  },
+  {
+    version: 10,
+    description: 'Add Subscriptions and NotificationSettings sheets',
+    up: ss => {
+      ensureSheet(ss, 'Subscriptions');
+      ensureSheet(ss, 'NotificationSettings');
+    }
+  },
+  {
+    version: 11,
+    description: 'Add Revision to Documents for conflict detection',
+    up: ss => ensureSheet(ss, 'Documents')
+  },
+  {
+    version: 12,
+    description: 'Add ChangedAt to Documents for incremental sync',
+    up: ss => ensureSheet(ss, 'Documents')
+  },
+  {
+    version: 13,
+    description: 'Add collections and move each user\'s favorites into a default collection',
+    up: ss => {
+      ensureSheet(ss, 'Collections');
+      ensureSheet(ss, 'CollectionItems');
+      ensureSheet(ss, 'CollectionShares');
+      migrateFavoritesToCollections(ss);
+    }
+  },
+  {
+    version: 14,
+    description: 'Add category approval policies and approval columns to Documents',
+    up: ss => {
+      ensureSheet(ss, 'Categories');
+      ensureSheet(ss, 'Documents');
+    }
+  },
+  {
+    version: 15,
+    description: 'Add ActivityLogArchive for activity past the retention period',
+    up: ss => ensureSheet(ss, 'ActivityLogArchive')
+  },
+  {
+    version: 16,
+    description: 'Add embed visibility and access tokens to Categories',
+    up: ss => ensureSheet(ss, 'Categories')
+  },
+  {
+    version: 17,
+    description: 'Add ApiKeys for the JSON API',
+    up: ss => ensureSheet(ss, 'ApiKeys')
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Create all missing sheets and bring the schema up to date.
+ * Safe to run repeatedly from the script editor; whoever runs it first
+ * becomes the initial admin.
+ */
+function setupDatabase() {
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const created = Object.keys(SCHEMA).filter(name => !ss.getSheetByName(name));
+    created.forEach(name => ensureSheet(ss, name));
+    const result = JSON.parse(migrateSchema());
+    if (!result.success) return JSON.stringify(result);
+    const admin = seedFirstAdmin(ss);
+    return JSON.stringify({ success: true, created: created, applied: result.applied, version: result.version, admin: admin });
   } catch (error) {
-    console.error('Error adding category:', error);
+    console.error('Error setting up database:', error);
     return JSON.stringify({ success: false, error: error.toString() });
   }
 }
 
-function getTags() {
+/**
+ * Record the user running setupDatabase as admin when UserRoles has none.
+ * Only ever called from setupDatabase, never from web requests.
+ */
+function seedFirstAdmin(ss) {
+  return withScriptLock(() => {
+    const sheet = ss.getSheetByName('UserRoles');
+    const data = sheet.getDataRange().getValues();
+    const existing = data.find((row, i) => i > 0 && row[1] === 'admin');
+    if (existing) return String(existing[0]);
+    const email = String(Session.getActiveUser().getEmail() || '').trim().toLowerCase();
+    if (!email) throw new Error('Could not determine who is running setup; run it from the script editor');
+    sheet.appendRow([email, 'admin', 'setupDatabase', new Date()]);
+    invalidateSheetCache('UserRoles');
+    return email;
+  });
+}
+
+/**
+ * Apply every migration newer than the stored schema version, in order.
+ */
+function migrateSchema() {
+  const lock = LockService.getScriptLock();
   try {
+    lock.waitLock(30000);
     const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sheet = ss.getSheetByName('Tags');
-    if (!sheet || sheet.getLastRow() <= 1) return { success: true, tags: [] };
-    const data = sheet.getDataRange().getValues();
-    const tags = data.slice(1).map(row => ({
-      TagID: row[0], TagName: row[1], CreatedBy: row[2], DateCreated: row[3], UsageCount: row[4] || 0
-    }));
-    tags.sort((a, b) => b.UsageCount - a.UsageCount);
-    return { success: true, tags: tags };
+    const props = PropertiesService.getScriptProperties();
+    let current = parseInt(props.getProperty(SCHEMA_VERSION_KEY)) || 0;
+    const applied = [];
+    MIGRATIONS.filter(m => m.version > current).forEach(migration => {
+      migration.up(ss);
+      current = migration.version;
+      props.setProperty(SCHEMA_VERSION_KEY, String(current));
+      applied.push(`v${migration.version}: ${migration.description}`);
+    });
+    if (applied.length > 0) {
+      CACHED_SHEETS.forEach(invalidateSheetCache);
+    }
+    return JSON.stringify({ success: true, version: current, applied: applied });
   } catch (error) {
-    console.error('Error getting tags:', error);
-    return { success: false, error: error.toString() };
+    console.error('Error migrating schema:', error);
+    return JSON.stringify({ success: false, error: error.toString() });
+  } finally {
+    lock.releaseLock();
   }
 }
 
-// =====================================
-// FAVORITES
-// =====================================
+/**
+ * Cheap check run on every page load so upgrades apply themselves.
+ */
+function ensureSchemaUpToDate() {
+  const stored = parseInt(PropertiesService.getScriptProperties().getProperty(SCHEMA_VERSION_KEY)) || 0;
+  if (stored < SCHEMA_VERSION) migrateSchema();
+}
 
-function getUserFavorites() {
-  try {
-    const user = getCurrentUser();
-    if (!user.isSignedIn) return { success: false, error: 'User not authenticated' };
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sheet = ss.getSheetByName('UserFavorites');
-    if (!sheet || sheet.getLastRow() <= 1) return { success: true, favoriteIds: [] };
-    
-    const data = sheet.getDataRange().getValues();
-    const favoriteIds = data.slice(1)
-      .filter(row => row[1] === user.email)
-      .map(row => row[2]);
-      
-    return { success: true, favoriteIds: favoriteIds };
-  } catch (error) {
-    console.error('Error getting user favorites:', error);
-    return { success: false, error: error.toString() };
+/**
+ * Get a sheet, creating it with its canonical headers if needed.
+ * Missing canonical columns are appended to existing sheets.
+ */
+function ensureSheet(ss, name) {
+  let sheet = ss.getSheetByName(name);
+  if (!sheet) {
+    sheet = ss.insertSheet(name);
   }
+  if (sheet.getLastRow() === 0) {
+    sheet.getRange(1, 1, 1, SCHEMA[name].length).setValues([SCHEMA[name]]);
+    sheet.setFrozenRows(1);
+    return sheet;
+  }
+  SCHEMA[name].forEach(header => addColumnIfMissing(sheet, header, ''));
+  return sheet;
 }
 
-function toggleFavorite(docId) {
-  try {
-    const user = getCurrentUser();
-    if (!user.isSignedIn) {
-      return JSON.stringify({ success: false, error: 'User not authenticated' });
-    }
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sheet = ss.getSheetByName('UserFavorites');
-    if (!sheet) {
-      return JSON.stringify({ success: false, error: 'Database not initialized' });
-    }
-    
-    const data = sheet.getDataRange().getValues();
-    const rowIndex = data.findIndex(row => row[1] === user.email && row[2] === docId);
+function getSheetHeaders(sheet) {
+  if (!sheet || sheet.getLastColumn() === 0) return [];
+  return sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+}
 
-    if (rowIndex > 0) {
-      sheet.deleteRow(rowIndex + 1);
-      logActivity(user, 'Removed Favorite', docId, 'Removed from favorites');
-      return JSON.stringify({ success: true, favorited: false });
-    } else {
-      sheet.appendRow([generateId('FAV'), user.email, docId, new Date()]);
-      logActivity(user, 'Added Favorite', docId, 'Added to favorites');
-      return JSON.stringify({ success: true, favorited: true });
-    }
-  } catch (error) {
-    console.error('Error toggling favorite:', error);
-    return JSON.stringify({ success: false, error: error.toString() });
+/**
+ * Append a column to the end of a sheet and fill existing rows with a default.
+ */
+function addColumnIfMissing(sheet, header, defaultValue) {
+  const headers = getSheetHeaders(sheet);
+  if (headers.indexOf(header) > -1) return false;
+  const col = headers.length + 1;
+  sheet.getRange(1, col).setValue(header);
+  const rowCount = sheet.getLastRow() - 1;
+  if (rowCount > 0 && defaultValue !== '') {
+    sheet.getRange(2, col, rowCount, 1).setValues(Array(rowCount).fill([defaultValue]));
   }
+  return true;
 }
 
 // =====================================
-// ANALYTICS & ACTIVITY
+// DATA ACCESS & CACHING
 // =====================================
 
-function recordDocumentView(docId) {
-  try {
-    const user = getCurrentUser();
-    if (!user.isSignedIn) {
-      return JSON.stringify({ success: false, error: 'User not authenticated' });
+/**
+ * Sheets whose rows are kept in the script cache between requests. Code that writes to
+ * one of them must call invalidateSheetCache afterwards; edits made directly in the
+ * spreadsheet show up once the cache expires (CONFIG.cacheSeconds).
+ */
+const CACHED_SHEETS = ['Documents', 'Categories', 'Tags', 'UserRoles', 'OnlineUsers', 'Subscriptions', 'NotificationSettings',
+  'Collections', 'CollectionItems', 'CollectionShares', 'ApiKeys'];
+
+// One repository per sheet per execution, so a request reads each sheet at most once
+const repositories = {};
+
+function getRepository(sheetName) {
+  if (!repositories[sheetName]) repositories[sheetName] = createRepository(sheetName);
+  return repositories[sheetName];
+}
+
+/**
+ * Read access to one sheet with header-mapped records, an ID (first column) index and
+ * lazily built per-field indexes. getValues() has the same shape as
+ * getDataRange().getValues() so positional readers can switch over unchanged.
+ * @param {string} sheetName
+ * @param {Object} [services] - overrides for tests: getSheet(), cache (null disables caching)
+ */
+function createRepository(sheetName, services = {}) {
+  const getSheet = services.getSheet || (() => SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName));
+  const cache = services.cache !== undefined ? services.cache
+    : (CACHED_SHEETS.includes(sheetName) ? CacheService.getScriptCache() : null);
+  let values = null;
+  let records = null;
+  let fieldIndexes = {};
+
+  const readSheet = () => {
+    const sheet = getSheet();
+    return sheet && sheet.getLastRow() > 0 ? sheet.getDataRange().getValues() : [];
+  };
+
+  const load = () => {
+    if (values) return values;
+    if (!cache) {
+      values = readSheet();
+      return values;
     }
-    
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sheet = ss.getSheetByName('Analytics');
-    if (!sheet) {
-      return JSON.stringify({ success: false, error: 'Database not initialized' });
+    const generation = getCacheGeneration(cache, sheetName);
+    const key = `rows:${sheetName}:${generation}`;
+    values = getCachedValue(cache, key);
+    if (!values) {
+      values = readSheet();
+      // A write that landed while we were reading started a new generation; don't cache stale rows
+      if (cache.get(`gen:${sheetName}`) === generation) putCachedValue(cache, key, values, CONFIG.cacheSeconds);
     }
-    
-    // Get document name for the view record
-    const docSheet = ss.getSheetByName('Documents');
-    const docData = docSheet.getDataRange().getValues();
-    const docRow = docData.find(row => row[0] === docId);
-    const docName = docRow ? docRow[1] : 'Unknown Document';
-    
-    const viewId = generateId('VIEW');
-    const now = new Date();
-    sheet.appendRow([viewId, docId, user.email, now, 'Web Browser', docName]);
-    
-    return JSON.stringify({ success: true, message: 'View recorded' });
-  } catch (error) {
-    console.error('Error recording document view:', error);
-    return JSON.stringify({ success: false, error: error.toString() });
-  }
-}
+    return values;
+  };
 
-function getAnalyticsData() {
-  try {
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sheet = ss.getSheetByName('Analytics');
-    if (!sheet || sheet.getLastRow() <= 1) {
-      return { success: true, analytics: { totalViews: 0, topDocuments: [], topCategories: {}, recentViews: [], viewsByDay: {} } };
+  const getRecords = () => {
+    if (!records) {
+      const data = load();
+      records = data.slice(1).map(row => toRecord(data[0], row));
     }
-    const totalViews = sheet.getLastRow() - 1;
-    return { success: true, analytics: { totalViews: totalViews, topDocuments: [], topCategories: {}, recentViews: [], viewsByDay: {} } };
-  } catch(error) {
-    console.error('Error getting analytics:', error);
-    return { success: false, analytics: {} };
+    return records;
+  };
+
+  // Records grouped by the value of one field, built on first use
+  const indexBy = field => {
+    if (!fieldIndexes[field]) {
+      const index = {};
+      getRecords().forEach(record => {
+        const key = record[field];
+        (index[key] = index[key] || []).push(record);
+      });
+      fieldIndexes[field] = index;
+    }
+    return fieldIndexes[field];
+  };
+
+  return {
+    getValues: load,
+    getHeaders: () => load()[0] || [],
+    getRecords: getRecords,
+    findById: id => {
+      const headers = load()[0];
+      const matches = headers ? indexBy(headers[0])[id] : null;
+      return matches ? matches[0] : null;
+    },
+    findBy: (field, value) => indexBy(field)[value] || [],
+    reset: () => {
+      values = null;
+      records = null;
+      fieldIndexes = {};
+    }
+  };
+}
+
+function toRecord(headers, row) {
+  const record = {};
+  headers.forEach((header, i) => { record[header] = row[i]; });
+  return record;
+}
+
+/**
+ * Drop everything cached from a sheet - its rows, or aggregates like the Analytics
+ * summary - for this execution and for later requests. Every write goes through here,
+ * so it also records the change for getChangesSince.
+ */
+function invalidateSheetCache(sheetName) {
+  if (repositories[sheetName]) repositories[sheetName].reset();
+  CacheService.getScriptCache().remove(`gen:${sheetName}`);
+  markSheetChanged(sheetName);
+}
+
+// Rows are cached under the sheet's current generation; invalidating starts a new one
+function getCacheGeneration(cache, sheetName) {
+  const key = `gen:${sheetName}`;
+  let generation = cache.get(key);
+  if (!generation) {
+    generation = generateId('GEN');
+    cache.put(key, generation, CONFIG.cacheSeconds);
   }
+  return generation;
 }
 
-function getRecentActivity(limit = CONFIG.recentActivityLimit) {
-  try {
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sheet = ss.getSheetByName('ActivityLog');
-    if (!sheet || sheet.getLastRow() <= 1) return { success: true, activities: [] };
-    
-    const data = sheet.getDataRange().getValues();
-    const activities = data.slice(Math.max(1, data.length - limit)).reverse().map(row => ({
-      ActivityID: row[0], UserEmail: row[1], UserName: row[2], Action: row[3],
-      DocID: row[4], Details: row[5], Timestamp: row[6]
-    }));
-    return { success: true, activities: activities };
-  } catch (error) {
-    console.error('Error getting recent activity:', error);
-    return { success: false, error: error.toString() };
+/**
+ * Store a value as JSON (Dates preserved) split across keys, since the script cache holds
+ * at most 100KB per key. Values larger than CONFIG.maxCacheChunks chunks are not cached.
+ * @returns {boolean} whether the value was stored
+ */
+function putCachedValue(cache, key, value, seconds) {
+  const json = JSON.stringify(value, function (name, item) {
+    return this[name] instanceof Date ? { $date: this[name].getTime() } : item;
+  });
+  const chunkCount = Math.ceil(json.length / CONFIG.cacheChunkSize);
+  if (chunkCount > CONFIG.maxCacheChunks) return false;
+  const entries = {};
+  for (let i = 0; i < chunkCount; i++) {
+    entries[`${key}:${i}`] = json.slice(i * CONFIG.cacheChunkSize, (i + 1) * CONFIG.cacheChunkSize);
   }
+  entries[key] = String(chunkCount);
+  cache.putAll(entries, seconds);
+  return true;
+}
+
+/**
+ * Read a value stored by putCachedValue, or null if it is missing or partly evicted.
+ */
+function getCachedValue(cache, key) {
+  const chunkCount = parseInt(cache.get(key));
+  if (isNaN(chunkCount)) return null;
+  const keys = [];
+  for (let i = 0; i < chunkCount; i++) keys.push(`${key}:${i}`);
+  const chunks = cache.getAll(keys);
+  if (keys.some(k => typeof chunks[k] !== 'string')) return null;
+  return JSON.parse(keys.map(k => chunks[k]).join(''), (name, item) =>
+    item && typeof item === 'object' && item.$date !== undefined ? new Date(item.$date) : item);
+}
+
+/**
+ * The last count data rows of a sheet, oldest first, without reading the rest of it.
+ */
+function readLastRows(sheet, count) {
+  const lastRow = sheet ? sheet.getLastRow() : 0;
+  if (lastRow <= 1 || count <= 0) return [];
+  const firstRow = Math.max(2, lastRow - count + 1);
+  return sheet.getRange(firstRow, 1, lastRow - firstRow + 1, sheet.getLastColumn()).getValues();
 }
 
 // =====================================
@@ -611,19 +5446,28 @@ function generateId(prefix = 'ID') {
 }
 
 /**
- * Detect file type from Google Drive URL
+ * File type label for a document. The Drive MIME type wins when known; otherwise guess from the URL.
+ * @param {string} url
+ * @param {string} [mimeType]
  */
-function detectFileType(url) {
+function detectFileType(url, mimeType) {
+  const fromMime = fileTypeFromMime(mimeType);
+  if (fromMime) return fromMime;
   if (!url) return 'Other';
   if (url.includes('docs.google.com/document')) return 'Google Doc';
   if (url.includes('docs.google.com/spreadsheets')) return 'Google Sheet';
   if (url.includes('docs.google.com/presentation')) return 'Google Slides';
   if (url.includes('docs.google.com/forms')) return 'Google Form';
-  if (url.includes('drive.google.com/file')) {
-    // Try to detect from file extension or other indicators
-    if (url.includes('.pdf')) return 'PDF';
-    if (url.includes('.jpg') || url.includes('.png') || url.includes('.gif')) return 'Image';
-  }
+  if (url.includes('docs.google.com/drawings')) return 'Google Drawing';
+  if (url.includes('drive.google.com/drive/folders') || url.includes('drive.google.com/drive/u/0/folders')) return 'Drive Folder';
+  const extension = (url.split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i) || [])[1];
+  const byExtension = {
+    pdf: 'PDF', doc: 'Word', docx: 'Word', xls: 'Excel', xlsx: 'Excel', ppt: 'PowerPoint', pptx: 'PowerPoint',
+    jpg: 'Image', jpeg: 'Image', png: 'Image', gif: 'Image', mp4: 'Video', mov: 'Video', webm: 'Video'
+  }[String(extension).toLowerCase()];
+  if (byExtension) return byExtension;
+  if (/youtube\.com|youtu\.be|vimeo\.com/.test(url)) return 'Video';
+  if (url.includes('drive.google.com/file')) return 'Drive File';
   if (url.includes('sites.google.com')) return 'Google Site';
   if (url.includes('lookerstudio.google.com')) return 'Looker Studio';
   if (url.includes('tableau.com')) return 'Tableau';
@@ -631,12 +5475,23 @@ function detectFileType(url) {
 }
 
 /**
- * Remove document from all user favorites
+ * Pull the Drive file or folder ID out of a Docs/Sheets/Slides/Drive URL, or null for other links.
+ */
+function extractDriveFileId(url) {
+  const text = String(url || '');
+  if (!/(docs|drive)\.google\.com/.test(text)) return null;
+  const match = text.match(/\/d\/([a-zA-Z0-9_-]{10,})/) || text.match(/\/folders\/([a-zA-Z0-9_-]{10,})/) ||
+    text.match(/[?&]id=([a-zA-Z0-9_-]{10,})/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Remove a document from every collection, favorites included
  */
-function removeFromAllFavorites(docId) {
+function removeFromAllCollections(docId) {
   try {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sheet = ss.getSheetByName('UserFavorites');
+    const sheet = ss.getSheetByName('CollectionItems');
     if (!sheet || sheet.getLastRow() <= 1) return;
     
     const data = sheet.getDataRange().getValues();
@@ -650,23 +5505,94 @@ function removeFromAllFavorites(docId) {
     
     // Delete rows in reverse order to maintain row indices
     rowsToDelete.forEach(rowNum => sheet.deleteRow(rowNum));
+    if (rowsToDelete.length > 0) invalidateSheetCache('CollectionItems');
   } catch (error) {
-    console.error('Error removing from favorites:', error);
+    console.error('Error removing from collections:', error);
+  }
+}
+
+/**
+ * Number of users who favorited each document, keyed by DocID.
+ */
+function getFavoriteCounts() {
+  const defaults = {};
+  getRepository('Collections').getRecords().forEach(collection => {
+    if (collection.IsDefault === true) defaults[collection.CollectionID] = true;
+  });
+  const counts = {};
+  getRepository('CollectionItems').getRecords().forEach(item => {
+    if (defaults[item.CollectionID]) counts[item.DocID] = (counts[item.DocID] || 0) + 1;
+  });
+  return counts;
+}
+
+// Depth of withScriptLock calls in this execution; only the outermost takes and releases the lock
+let scriptLockDepth = 0;
+
+/**
+ * Run fn holding the script lock, so read-modify-write on a sheet - and the row numbers
+ * deleteRow relies on - can't interleave with another request. Nested calls share the lock.
+ */
+function withScriptLock(fn) {
+  const lock = scriptLockDepth === 0 ? LockService.getScriptLock() : null;
+  if (lock && !lock.tryLock(CONFIG.lockTimeout)) {
+    throw new Error('Another change is in progress - please try again in a moment');
+  }
+  scriptLockDepth++;
+  try {
+    return fn();
+  } finally {
+    scriptLockDepth--;
+    if (lock) lock.releaseLock();
+  }
+}
+
+/**
+ * Outgoing email, with send() swappable for a fake in tests.
+ * @param {Object} [services] - overrides: sendEmail(message) taking MailApp.sendEmail's message object
+ */
+function createMailer(services = {}) {
+  const sendEmail = services.sendEmail || (message => MailApp.sendEmail(message));
+  return {
+    send: (to, subject, htmlBody) => sendEmail({ to: to, subject: subject, htmlBody: htmlBody, name: CONFIG.appName })
+  };
+}
+
+function isValidEmail(value) {
+  return /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(String(value || ''));
+}
+
+/**
+ * Comma-separated emails (or an array of them) as trimmed, lower-case, de-duplicated addresses.
+ */
+function parseEmailList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map(email => String(email).trim().toLowerCase()).filter((email, i, all) => email && all.indexOf(email) === i);
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Compare secrets in time that doesn't depend on where they first differ.
+ */
+function constantTimeEquals(a, b) {
+  a = String(a);
+  b = String(b);
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
   }
+  return diff === 0;
 }
 
 function getOrAssignUserAvatar(email) {
   try {
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sheet = ss.getSheetByName('OnlineUsers');
-    if (sheet && sheet.getLastRow() > 1) {
-      const data = sheet.getDataRange().getValues();
-      for (let i = 1; i < data.length; i++) {
-        if (data[i][1] === email && data[i][5]) {
-          return data[i][5];
-        }
-      }
-    }
+    const session = getRepository('OnlineUsers').findBy('UserEmail', email).find(s => s.Avatar);
+    if (session) return session.Avatar;
     const hash = email.split('').reduce((acc, char) => (((acc << 5) - acc) + char.charCodeAt(0)) | 0, 0);
     return CONFIG.animalAvatars[Math.abs(hash) % CONFIG.animalAvatars.length];
   } catch (error) {
@@ -674,23 +5600,33 @@ function getOrAssignUserAvatar(email) {
   }
 }
 
-function isDuplicateURL(url) {
+/**
+ * True when another document already points at the same file (compared by canonicalizeUrl).
+ * @param {string} url
+ * @param {string} [excludeDocId] - ignore this document, e.g. the one being edited
+ */
+function isDuplicateURL(url, excludeDocId) {
   try {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
     const sheet = ss.getSheetByName('Documents');
     if (!sheet || sheet.getLastRow() <= 1) return false;
-    const urls = sheet.getRange(2, 3, sheet.getLastRow() - 1, 1).getValues();
-    return urls.some(row => row[0] === url);
+    const key = canonicalizeUrl(url);
+    const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, 3).getValues();
+    return rows.some(row => row[0] !== excludeDocId && canonicalizeUrl(row[2]) === key);
   } catch (error) {
     console.error('Error checking duplicate URL:', error);
     return false;
   }
 }
 
-function passesFilters(doc, filters) {
+function passesFilters(doc, filters, viewer) {
+  if (doc.Status === 'Trashed' && !filters.includeTrashed) return false;
+  if (viewer && !canSeeDocument(viewer, doc)) return false;
   if (filters.status && filters.status.length > 0 && !filters.status.includes(doc.Status)) return false;
   if (filters.categories && filters.categories.length > 0 && !filters.categories.includes(doc.Category)) return false;
   if (filters.fileTypes && filters.fileTypes.length > 0 && !filters.fileTypes.includes(doc.FileType)) return false;
+  if (filters.needsAttention && !needsAttention(doc)) return false;
+  if (filters.dueForReview && !getReviewState(doc)) return false;
   return true;
 }
 
@@ -715,55 +5651,190 @@ function logActivity(user, action, docId, details) {
   }
 }
 
-function updateCategoryCount(categoryName, delta) {
+/**
+ * logActivity for many entries with one write.
+ * @param {Array<{action: string, docId: string, details: string}>} entries
+ */
+function logActivities(user, entries) {
   try {
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sheet = ss.getSheetByName('Categories');
-    if (!sheet) return;
-    const data = sheet.getDataRange().getValues();
-    const rowIndex = data.findIndex(row => row[1] === categoryName);
-    if (rowIndex > 0) {
-      const currentCount = parseInt(data[rowIndex][5]) || 0;
-      sheet.getRange(rowIndex + 1, 6).setValue(Math.max(0, currentCount + delta));
-    }
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('ActivityLog');
+    if (!sheet || entries.length === 0) return;
+    const now = new Date();
+    const rows = entries.map(entry => [generateId('ACT'), user.email, user.name, entry.action, entry.docId || '', entry.details || '', now]);
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
   } catch (error) {
-    console.error(`Error updating count for category ${categoryName}:`, error);
+    console.error('Error logging activity:', error);
   }
 }
 
-function updateTagCounts(tagsString, delta) {
-  if (!tagsString) return;
+function updateCategoryCount(categoryName, delta) {
   try {
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sheet = ss.getSheetByName('Tags');
-    if (!sheet) return;
-    const data = sheet.getDataRange().getValues();
-    const tags = tagsString.split(',').map(t => t.trim());
-    tags.forEach(tag => {
-      const rowIndex = data.findIndex(row => row[1] === tag);
+    withScriptLock(() => {
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const sheet = ss.getSheetByName('Categories');
+      if (!sheet) return;
+      const data = sheet.getDataRange().getValues();
+      const rowIndex = data.findIndex(row => row[1] === categoryName);
       if (rowIndex > 0) {
-        const currentCount = parseInt(data[rowIndex][4]) || 0;
-        sheet.getRange(rowIndex + 1, 5).setValue(Math.max(0, currentCount + delta));
+        const currentCount = parseInt(data[rowIndex][5]) || 0;
+        sheet.getRange(rowIndex + 1, 6).setValue(Math.max(0, currentCount + delta));
+        invalidateSheetCache('Categories');
       }
     });
   } catch (error) {
-    console.error(`Error updating counts for tags "${tagsString}":`, error);
+    console.error(`Error updating count for category ${categoryName}:`, error);
   }
 }
 
-function cleanupExpiredSessions(sheet) {
+function updateTagCounts(tagsString, delta, user) {
+  const tags = normalizeTags(tagsString);
+  if (tags.length === 0) return;
   try {
+    withScriptLock(() => {
+      // First use of a tag registers it so its count isn't lost
+      if (delta > 0) ensureTags(tags, user || getCurrentUser());
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const sheet = ss.getSheetByName('Tags');
+      if (!sheet) return;
+      const data = sheet.getDataRange().getValues();
+      tags.forEach(tag => {
+        const rowIndex = data.findIndex((row, i) => i > 0 && sameTag(row[1], tag));
+        if (rowIndex > 0) {
+          const currentCount = parseInt(data[rowIndex][4]) || 0;
+          sheet.getRange(rowIndex + 1, 5).setValue(Math.max(0, currentCount + delta));
+        }
+      });
+      invalidateSheetCache('Tags');
+    });
+  } catch (error) {
+    console.error(`Error updating counts for tags "${tagsString}":`, error);
+  }
+}
+
+/**
+ * Split a comma-separated tag string (or array) into trimmed, de-duplicated tag names.
+ */
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  const seen = {};
+  return list.map(t => String(t).trim()).filter(t => {
+    const key = t.toLowerCase();
+    if (!t || seen[key]) return false;
+    seen[key] = true;
+    return true;
+  });
+}
+
+function sameTag(a, b) {
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+/**
+ * 1-based sheet row of a tag, or -1.
+ */
+function findTagRow(tagName) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Tags');
+  if (!sheet || sheet.getLastRow() <= 1) return -1;
+  const names = sheet.getRange(2, 2, sheet.getLastRow() - 1, 1).getValues();
+  const index = names.findIndex(row => sameTag(row[0], tagName));
+  return index === -1 ? -1 : index + 2;
+}
+
+/**
+ * Register any tags that aren't in the Tags sheet yet.
+ */
+function ensureTags(tagNames, user) {
+  return withScriptLock(() => {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Tags');
+    if (!sheet) return;
+    const existing = sheet.getLastRow() > 1 ? sheet.getRange(2, 2, sheet.getLastRow() - 1, 1).getValues().map(row => row[0]) : [];
+    const now = new Date();
+    const rows = normalizeTags(tagNames)
+      .filter(name => !existing.some(e => sameTag(e, name)))
+      .map(name => [generateId('TAG'), name, (user && user.email) || '', now, 0]);
+    if (rows.length > 0) {
+      sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+      invalidateSheetCache('Tags');
+    }
+  });
+}
+
+function deleteTagRows(tagNames) {
+  return withScriptLock(() => {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Tags');
     if (!sheet || sheet.getLastRow() <= 1) return;
-    const cutoffTime = new Date(Date.now() - CONFIG.sessionTimeout * 60 * 1000);
     const data = sheet.getDataRange().getValues();
-    const rowsToDelete = [];
     for (let i = data.length - 1; i >= 1; i--) {
-      const lastActivity = new Date(data[i][4]);
-      if (lastActivity < cutoffTime) {
-        rowsToDelete.push(i + 1);
-      }
+      if (tagNames.some(name => sameTag(data[i][1], name))) sheet.deleteRow(i + 1);
     }
-    rowsToDelete.forEach(rowNum => sheet.deleteRow(rowNum));
+    invalidateSheetCache('Tags');
+  });
+}
+
+/**
+ * Apply a transform to every document's tag list.
+ * @returns {number} documents whose tags changed
+ */
+function rewriteDocumentTags(transform) {
+  return rewriteDocumentColumn('Tags', value => {
+    const before = normalizeTags(value);
+    const after = normalizeTags(transform(before)).join(', ');
+    return after === before.join(', ') ? value : after;
+  });
+}
+
+/**
+ * Apply a transform to one column of every document and write it back in one call.
+ * Rewritten documents get a new Revision, so edits started before the rewrite are refused.
+ * @returns {number} documents whose value changed
+ */
+function rewriteDocumentColumn(header, transform) {
+  return withScriptLock(() => {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Documents');
+    if (!sheet || sheet.getLastRow() <= 1) return 0;
+    const headers = getSheetHeaders(sheet);
+    const column = name => sheet.getRange(2, headers.indexOf(name) + 1, sheet.getLastRow() - 1, 1);
+    const range = column(header);
+    const changedRange = column('ChangedAt');
+    const revisionRange = column('Revision');
+    const changedAt = changedRange.getValues();
+    const revisions = revisionRange.getValues();
+    const now = new Date();
+    let updated = 0;
+    const values = range.getValues().map((row, i) => {
+      const after = transform(row[0]);
+      if (after === row[0]) return [row[0]];
+      changedAt[i] = [now];
+      revisions[i] = [(Number(revisions[i][0]) || 0) + 1];
+      updated++;
+      return [after];
+    });
+    if (updated > 0) {
+      range.setValues(values);
+      changedRange.setValues(changedAt);
+      revisionRange.setValues(revisions);
+      invalidateSheetCache('Documents');
+    }
+    return updated;
+  });
+}
+
+function cleanupExpiredSessions(sheet) {
+  try {
+    withScriptLock(() => {
+      if (!sheet || sheet.getLastRow() <= 1) return;
+      const cutoffTime = new Date(Date.now() - CONFIG.sessionTimeout * 60 * 1000);
+      const data = sheet.getDataRange().getValues();
+      const rowsToDelete = [];
+      for (let i = data.length - 1; i >= 1; i--) {
+        const lastActivity = new Date(data[i][4]);
+        if (lastActivity < cutoffTime) {
+          rowsToDelete.push(i + 1);
+        }
+      }
+      rowsToDelete.forEach(rowNum => sheet.deleteRow(rowNum));
+      if (rowsToDelete.length > 0) invalidateSheetCache('OnlineUsers');
+    });
   } catch (error) {
     console.error('Error cleaning up expired sessions:', error);
   }
@@ -771,12 +5842,15 @@ function cleanupExpiredSessions(sheet) {
 
 function removeUserSession(sheet, email) {
   try {
-    if (!sheet || sheet.getLastRow() <= 1) return;
-    const data = sheet.getDataRange().getValues();
-    const rowIndex = data.findIndex(row => row[1] === email);
-    if (rowIndex > 0) {
-      sheet.deleteRow(rowIndex + 1);
-    }
+    withScriptLock(() => {
+      if (!sheet || sheet.getLastRow() <= 1) return;
+      const data = sheet.getDataRange().getValues();
+      const rowIndex = data.findIndex(row => row[1] === email);
+      if (rowIndex > 0) {
+        sheet.deleteRow(rowIndex + 1);
+        invalidateSheetCache('OnlineUsers');
+      }
+    });
   } catch (error) {
     console.error(`Error removing session for ${email}:`, error);
   }